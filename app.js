@@ -8,6 +8,12 @@
 let swRegistration = null;
 
 async function registerSW() {
+  // Plain http:// on a LAN address: the browser withholds the SW, so say
+  // what is missing instead of failing quietly
+  if (!window.isSecureContext) {
+    document.getElementById('insecureBanner').classList.remove('hidden');
+    return;
+  }
   if (!('serviceWorker' in navigator)) return;
   try {
     swRegistration = await navigator.serviceWorker.register('/timer/sw.js', { scope: '/timer/' });
@@ -18,25 +24,97 @@ async function registerSW() {
 
     // Start keepalive pings so SW stays alive
     startSwKeepalive();
+    watchSwUpdates();
   } catch (err) {
     console.warn('[App] SW registration failed:', err);
   }
 }
 
+// ─── APP UPDATES ─────────────────────────────────────
+// A new sw.js installs in the background and then waits. We only offer the
+// reload; the switch happens when the user clicks "Muat ulang".
+const SW_UPDATE_CHECK_MS = 60 * 60 * 1000;
+const updateBanner = document.getElementById('updateBanner');
+let reloadingForUpdate = false;
+
+function watchSwUpdates() {
+  // Only an update if some SW already controls the page — a first install is not
+  if (swRegistration.waiting && navigator.serviceWorker.controller) showUpdateBanner();
+  swRegistration.addEventListener('updatefound', () => {
+    const worker = swRegistration.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner();
+    });
+  });
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloadingForUpdate) location.reload();
+  });
+  // The bell PC keeps the tab open for days; look for a new version hourly
+  setInterval(() => swRegistration.update().catch(() => { }), SW_UPDATE_CHECK_MS);
+}
+
+function showUpdateBanner() {
+  updateBanner.classList.remove('hidden');
+}
+
+function applySwUpdate() {
+  const waiting = swRegistration && swRegistration.waiting;
+  if (!waiting) { location.reload(); return; }
+  reloadingForUpdate = true;
+  waiting.postMessage({ type: 'SKIP_WAITING' });
+}
+
+document.getElementById('btnUpdateReload').addEventListener('click', applySwUpdate);
+document.getElementById('btnUpdateLater').addEventListener('click', () => updateBanner.classList.add('hidden'));
+document.getElementById('btnInsecureClose').addEventListener('click', () => {
+  document.getElementById('insecureBanner').classList.add('hidden');
+});
+
 function onSwMessage(event) {
   if (!event.data) return;
 
-  if (event.data.type === 'ALARM_FIRED') {
+  if (event.data.type === 'ALARM_FIRED' && isRingLeader) {
     // SW detected alarm while page was in background → show in-app overlay too
-    const alarm = event.data.alarm;
-    if (!currentRinging) fireAlarm(alarm);
+    ringAlarm(event.data.alarm, { source: 'sw' });
   }
 
   if (event.data.type === 'ALARM_ACTION') {
     const { action, alarm } = event.data;
-    if (action === 'dismiss') dismissAlarm();
-    if (action === 'snooze') dismissAlarm();
+    // Dismiss goes to one tab and is passed on from there; snooze and skip
+    // reach every tab, so only the leader acts on them
+    if (action === 'dismiss') dismissAlarm('notification');
+    if (action === 'snooze' && isRingLeader) snoozeAlarm(alarm && (alarm.id || alarm.alarmId));
+    if (action === 'skip' && alarm && isRingLeader) skipOccurrence(alarm.id || alarm.alarmId, alarm.at);
+  }
+
+  if (event.data.type === 'ALARM_REMINDER') {
+    const alarm = alarms.find(a => a.id === event.data.alarmId);
+    if (alarm) showReminder(alarm, event.data.at, event.data.lead, { via: 'sw' });
   }
+
+  if (event.data.type === 'SW_STATE') {
+    // SW refused our sync because it holds a newer revision — another tab
+    // saved since this one loaded. Pick up the newer data from storage.
+    if (event.data.rev > dataRev) reloadFromStorage();
+  }
+}
+
+function reloadFromStorage() {
+  const storedRev = loadRev();
+  if (storedRev <= dataRev) return;
+  settings = loadSettings();
+  alarms = loadAlarms().map(a => ({ ...a, category: a.category || 'regular' }));
+  dataRev = storedRev;
+  ensureProfiles();
+  refreshLiveProfile();
+  if (!profileById(viewProfileId)) viewProfileId = liveProfileId;
+  renderAlarms();
+  // The other tab may have added sounds to the library as well
+  refreshSoundLibrary().then(renderAlarms).catch(() => { });
+  syncAlarmsToSW();
+  // Edits made in another tab reach the sync server through the leader
+  scheduleSync();
 }
 
 // Ping our own SW every 20 seconds via a fetch to keep it alive
@@ -46,15 +124,25 @@ function startSwKeepalive() {
   }, 20000);
 }
 
+function postToSW(message) {
+  if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+    navigator.serviceWorker.controller.postMessage(message);
+  }
+}
+
 // Send current alarm list to SW whenever it changes
 function syncAlarmsToSW() {
   if (!navigator.serviceWorker || !navigator.serviceWorker.controller) return;
   // Strip out the audioDataUrl (large Base64) to keep the message small
-  // SW only needs time/days/enabled/id/name for scheduling
-  const slim = alarms.map(({ audioDataUrl, ...rest }) => rest);
+  // SW only needs time/days/enabled/id/name for scheduling, and only for
+  // the profile that is live right now
+  const slim = liveAlarms().map(({ audioDataUrl, ...rest }) => rest);
   navigator.serviceWorker.controller.postMessage({
     type: 'SYNC_ALARMS',
+    rev: dataRev,
     alarms: slim,
+    // Prayer-linked alarms are resolved in the SW too, so it needs the location
+    settings,
   });
 }
 
@@ -78,7 +166,7 @@ async function requestNotificationPermission() {
 function showWebNotification(alarm) {
   if (!('Notification' in window) || Notification.permission !== 'granted') return;
   try {
-    const n = new Notification(`⏰ ${alarm.name || 'Alarm'} — ${alarm.time}`, {
+    const n = new Notification(`⏰ ${alarm.name || 'Alarm'} — ${alarmTimeOn(alarm, new Date()) || alarm.time}`, {
       body: 'Klik untuk membuka AlarmPro',
       icon: '/timer/icon-192.png',
       tag: 'alarmpro-page-' + alarm.id,
@@ -94,15 +182,29 @@ const DAY_SHORT = ['Min', 'Sen', 'Sel', 'Rab', 'Kam', 'Jum', 'Sab'];
 const MONTH_NAMES = ['Januari', 'Februari', 'Maret', 'April', 'Mei', 'Juni',
   'Juli', 'Agustus', 'September', 'Oktober', 'November', 'Desember'];
 const STORAGE_KEY = 'alarmpro_alarms_v2';
+const SETTINGS_KEY = 'alarmpro_settings_v1';
+const LAST_CHECK_KEY = 'alarmpro_last_check';
+const MISSED_KEY = 'alarmpro_missed_v1';
+const REV_KEY = 'alarmpro_rev';
+const ON_TIME_MS = 60 * 1000;              // later than this counts as missed
+const MAX_CATCHUP_MS = 12 * 60 * 60 * 1000; // don't replay more than half a day
+const MAX_MISSED_ENTRIES = 50;
+const DEFAULT_MISSED_POLICY = 'ring';
+const DEFAULT_MISSED_GRACE = 5;             // minutes
 const MAX_FILE_BYTES = 20 * 1024 * 1024;
+const BACKUP_FORMAT = 'alarmpro-backup';
+const BACKUP_VERSION = 2;   // 2: shared sound library instead of per-alarm audio
+const DEFAULT_SNOOZE_MINUTES = 5;
+const DEFAULT_SNOOZE_MAX = 3;
 
 // ─── STATE ───────────────────────────────────────────
 let alarms = [];
+let settings = {};
+let viewProfileId = null;   // profile whose alarms are listed on the page
+let liveProfileId = null;   // profile whose alarms actually ring
 let editingId = null;
-let pendingAudioDataUrl = null;
 let pendingAudioName = null;
 let pendingAudioFile = null;
-let pendingKeepExisting = false;
 
 let activeAudioEl = null;
 let beepCtx = null;
@@ -110,15 +212,17 @@ let beepInterval = null;
 let currentRinging = null;   // alarm object currently ringing
 let activeObjectUrl = null;
 
-// Track which alarm+minute combos have already fired so we
-// don't re-fire while the same minute is still ticking.
-// Key: "alarmId|HH:MM"   Value: true
-const firedKeys = {};
-let lastCheckedMinute = null;
+// Each tick checks the window (lastCheckMs, now], so an occurrence is seen
+// exactly once however irregular the ticks are. The value is persisted so a
+// reload or a closed tab can still find what it missed.
+let lastCheckMs = null;
+let lastPersistedCheckMs = 0;
+let lastRenderedDate = null;
 
 // ─── DOM ─────────────────────────────────────────────
 const clockTimeEl = document.getElementById('clock-time');
 const clockDateEl = document.getElementById('clock-date');
+const clockNextEl = document.getElementById('clock-next');
 const alarmListRegularEl = document.getElementById('alarmListRegular');
 const emptyStateRegularEl = document.getElementById('emptyStateRegular');
 const alarmListPuasaEl = document.getElementById('alarmListPuasa');
@@ -136,7 +240,25 @@ const alarmNameEl = document.getElementById('alarmName');
 const alarmTimeEl = document.getElementById('alarmTime');
 const alarmRepeatEl = document.getElementById('alarmRepeat');
 const alarmCategoryEl = document.getElementById('alarmCategory');
+const alarmPriorityEl = document.getElementById('alarmPriority');
+const ringingQueueEl = document.getElementById('ringingQueue');
+const triggerGroupEl = document.getElementById('triggerGroup');
+const alarmTimeSourceEl = document.getElementById('alarmTimeSource');
+const alarmTriggerOffsetEl = document.getElementById('alarmTriggerOffset');
+const triggerHintEl = document.getElementById('triggerHint');
+const alarmSeasonEl = document.getElementById('alarmSeason');
+const seasonRangeEl = document.getElementById('seasonRange');
+const seasonFromDayEl = document.getElementById('seasonFromDay');
+const seasonFromMonthEl = document.getElementById('seasonFromMonth');
+const seasonToDayEl = document.getElementById('seasonToDay');
+const seasonToMonthEl = document.getElementById('seasonToMonth');
+const alarmUseExceptionsEl = document.getElementById('alarmUseExceptions');
+const alarmMissedPolicyEl = document.getElementById('alarmMissedPolicy');
+const alarmMissedGraceEl = document.getElementById('alarmMissedGrace');
+const alarmSnoozeMinutesEl = document.getElementById('alarmSnoozeMinutes');
+const alarmSnoozeMaxEl = document.getElementById('alarmSnoozeMax');
 const dayBtns = document.querySelectorAll('.day-btn');
+const leadBtns = document.querySelectorAll('.lead-btn');
 
 const uploadArea = document.getElementById('uploadArea');
 const audioFileEl = document.getElementById('audioFile');
@@ -144,15 +266,223 @@ const uploadContent = document.getElementById('uploadContent');
 const uploadPreview = document.getElementById('uploadPreview');
 const previewName = document.getElementById('previewName');
 const previewRemove = document.getElementById('previewRemove');
+const alarmSoundTypeEl = document.getElementById('alarmSoundType');
+const audioGroupEl = document.getElementById('audioGroup');
+const ttsGroupEl = document.getElementById('ttsGroup');
+const ttsTemplateEl = document.getElementById('ttsTemplate');
+const ttsLangEl = document.getElementById('ttsLang');
+const ttsVoiceEl = document.getElementById('ttsVoice');
+const ttsRateEl = document.getElementById('ttsRate');
+const ttsRepeatEl = document.getElementById('ttsRepeat');
+const ttsChimeEl = document.getElementById('ttsChime');
+const ttsVoiceHintEl = document.getElementById('ttsVoiceHint');
+const pbRepeatEl = document.getElementById('pbRepeat');
+const pbMaxSecondsEl = document.getElementById('pbMaxSeconds');
+const pbFadeInEl = document.getElementById('pbFadeIn');
+const pbVolumeEl = document.getElementById('pbVolume');
+const pbTrimStartEl = document.getElementById('pbTrimStart');
+const pbTrimEndEl = document.getElementById('pbTrimEnd');
+const btnSoundTest = document.getElementById('btnSoundTest');
+const sequenceGroupEl = document.getElementById('sequenceGroup');
+const stepListEl = document.getElementById('stepList');
+const stepFileEl = document.getElementById('stepFile');
+const sequenceTotalEl = document.getElementById('sequenceTotal');
+const stepLibraryEl = document.getElementById('stepLibrary');
+const alarmLibrarySoundEl = document.getElementById('alarmLibrarySound');
+const btnLibrary = document.getElementById('btnLibrary');
+const libraryOverlay = document.getElementById('libraryOverlay');
+const soundListEl = document.getElementById('soundList');
+const libraryUsageEl = document.getElementById('libraryUsage');
+const libraryFileEl = document.getElementById('libraryFile');
+const libraryReplaceFileEl = document.getElementById('libraryReplaceFile');
+const btnLibraryAdd = document.getElementById('btnLibraryAdd');
+const btnLibraryClose = document.getElementById('btnLibraryClose');
+const btnLibraryDone = document.getElementById('btnLibraryDone');
 
 const ringingOverlay = document.getElementById('ringingOverlay');
 const ringingTimeEl = document.getElementById('ringingTime');
 const ringingLabelEl = document.getElementById('ringingLabel');
 const btnDismiss = document.getElementById('btnDismiss');
+const btnSnooze = document.getElementById('btnSnooze');
+const snoozeLabelEl = document.getElementById('snoozeLabel');
+
+const btnSettings = document.getElementById('btnSettings');
+const settingsOverlay = document.getElementById('settingsOverlay');
+const btnSettingsClose = document.getElementById('btnSettingsClose');
+const btnSettingsCancel = document.getElementById('btnSettingsCancel');
+const btnSettingsSave = document.getElementById('btnSettingsSave');
+const btnLocDetect = document.getElementById('btnLocDetect');
+const locLabelEl = document.getElementById('locLabel');
+const locLatEl = document.getElementById('locLat');
+const locLngEl = document.getElementById('locLng');
+const locTzEl = document.getElementById('locTz');
+const locMethodEl = document.getElementById('locMethod');
+const prayerPreviewEl = document.getElementById('prayerPreview');
+const hijriAdjustEl = document.getElementById('hijriAdjust');
+const hijriTodayEl = document.getElementById('hijriToday');
+const puasaSeasonEl = document.getElementById('puasaSeason');
+
+const clockProfileEl = document.getElementById('clock-profile');
+const profileBarEl = document.getElementById('profileBar');
+const btnProfiles = document.getElementById('btnProfiles');
+const profileOverlay = document.getElementById('profileOverlay');
+const btnProfileClose = document.getElementById('btnProfileClose');
+const btnProfileDone = document.getElementById('btnProfileDone');
+const profileEditListEl = document.getElementById('profileEditList');
+const newProfileNameEl = document.getElementById('newProfileName');
+const newProfileCopyEl = document.getElementById('newProfileCopy');
+const btnProfileAdd = document.getElementById('btnProfileAdd');
+
+const btnBackup = document.getElementById('btnBackup');
+const btnRestore = document.getElementById('btnRestore');
+const restoreFileEl = document.getElementById('restoreFile');
+const restoreOverlay = document.getElementById('restoreOverlay');
+const restoreSummaryEl = document.getElementById('restoreSummary');
+const btnRestoreClose = document.getElementById('btnRestoreClose');
+const btnRestoreCancel = document.getElementById('btnRestoreCancel');
+const btnRestoreConfirm = document.getElementById('btnRestoreConfirm');
+
+const btnMissed = document.getElementById('btnMissed');
+const missedBadgeEl = document.getElementById('missedBadge');
+const missedOverlay = document.getElementById('missedOverlay');
+const missedListEl = document.getElementById('missedList');
+const btnMissedClose = document.getElementById('btnMissedClose');
+const btnMissedClear = document.getElementById('btnMissedClear');
+const btnMissedOk = document.getElementById('btnMissedOk');
+
+const btnHistory = document.getElementById('btnHistory');
+const btnScheduleCheck = document.getElementById('btnScheduleCheck');
+const btnTrash = document.getElementById('btnTrash');
+const trashOverlay = document.getElementById('trashOverlay');
+const trashListEl = document.getElementById('trashList');
+const btnTrashClose = document.getElementById('btnTrashClose');
+const btnTrashDone = document.getElementById('btnTrashDone');
+const btnTrashEmpty = document.getElementById('btnTrashEmpty');
+const alarmRevisionsGroupEl = document.getElementById('alarmRevisionsGroup');
+const alarmRevisionsEl = document.getElementById('alarmRevisions');
+const historyOverlay = document.getElementById('historyOverlay');
+const historyAlarmEl = document.getElementById('historyAlarm');
+const historyCategoryEl = document.getElementById('historyCategory');
+const historyTypeEl = document.getElementById('historyType');
+const historyFromEl = document.getElementById('historyFrom');
+const historyToEl = document.getElementById('historyTo');
+const historyListEl = document.getElementById('historyList');
+const historySummaryEl = document.getElementById('historySummary');
+const btnHistoryClose = document.getElementById('btnHistoryClose');
+const btnHistoryDone = document.getElementById('btnHistoryDone');
+const btnHistoryCsv = document.getElementById('btnHistoryCsv');
+
+const btnIcsExport = document.getElementById('btnIcsExport');
+const btnIcsImport = document.getElementById('btnIcsImport');
+const icsFileEl = document.getElementById('icsFile');
+const reportOverlay = document.getElementById('reportOverlay');
+const reportTitleEl = document.getElementById('reportTitle');
+const reportBodyEl = document.getElementById('reportBody');
+const btnReportClose = document.getElementById('btnReportClose');
+const btnReportOk = document.getElementById('btnReportOk');
+
+const btnHolidays = document.getElementById('btnHolidays');
+const holidayOverlay = document.getElementById('holidayOverlay');
+const btnHolidayClose = document.getElementById('btnHolidayClose');
+const btnHolidayDone = document.getElementById('btnHolidayDone');
+const exCatRegularEl = document.getElementById('exCatRegular');
+const exCatPuasaEl = document.getElementById('exCatPuasa');
+const exLabelEl = document.getElementById('exLabel');
+const exFromEl = document.getElementById('exFrom');
+const exToEl = document.getElementById('exTo');
+const exActionEl = document.getElementById('exAction');
+const exTimeEl = document.getElementById('exTime');
+const exShiftEl = document.getElementById('exShift');
+const btnExAdd = document.getElementById('btnExAdd');
+const btnExImport = document.getElementById('btnExImport');
+const exImportFileEl = document.getElementById('exImportFile');
+const exListEl = document.getElementById('exList');
+
+const btnSync = document.getElementById('btnSync');
+const syncOverlay = document.getElementById('syncOverlay');
+const syncUrlEl = document.getElementById('syncUrl');
+const syncDeviceEl = document.getElementById('syncDevice');
+const syncKeyEl = document.getElementById('syncKey');
+const syncStatusTextEl = document.getElementById('syncStatusText');
+const btnSyncClose = document.getElementById('btnSyncClose');
+const btnSyncCancel = document.getElementById('btnSyncCancel');
+const btnSyncSave = document.getElementById('btnSyncSave');
+const btnSyncDisconnect = document.getElementById('btnSyncDisconnect');
+
+const btnAdminLock = document.getElementById('btnAdminLock');
+const pinOverlay = document.getElementById('pinOverlay');
+const pinFormEl = document.getElementById('pinForm');
+const pinInputEl = document.getElementById('pinInput');
+const pinErrorEl = document.getElementById('pinError');
+const btnPinClose = document.getElementById('btnPinClose');
+const btnPinCancel = document.getElementById('btnPinCancel');
+const adminPinEl = document.getElementById('adminPin');
+const adminPinConfirmEl = document.getElementById('adminPinConfirm');
+const adminPinHintEl = document.getElementById('adminPinHint');
+const btnAdminPinRemove = document.getElementById('btnAdminPinRemove');
+const btnKiosk = document.getElementById('btnKiosk');
+const btnKioskExit = document.getElementById('btnKioskExit');
+const kioskListEl = document.getElementById('kioskList');
+const timelineSectionEl = document.getElementById('timelineSection');
+const timelineEl = document.getElementById('timeline');
+const timelineEmptyEl = document.getElementById('timelineEmpty');
+const btnTimelineToggle = document.getElementById('btnTimelineToggle');
+
+const btnGenerator = document.getElementById('btnGenerator');
+const generatorOverlay = document.getElementById('generatorOverlay');
+const genSetEl = document.getElementById('genSet');
+const genNameEl = document.getElementById('genName');
+const genStartEl = document.getElementById('genStart');
+const genPeriodEl = document.getElementById('genPeriod');
+const genCountEl = document.getElementById('genCount');
+const genBreakListEl = document.getElementById('genBreakList');
+const btnGenAddBreak = document.getElementById('btnGenAddBreak');
+const genDayBtns = document.querySelectorAll('.gen-day-btn');
+const genCategoryEl = document.getElementById('genCategory');
+const genSoundEl = document.getElementById('genSound');
+const genEndBellEl = document.getElementById('genEndBell');
+const genPreviewEl = document.getElementById('genPreview');
+const genExistingEl = document.getElementById('genExisting');
+const genShiftEl = document.getElementById('genShift');
+const btnGenShift = document.getElementById('btnGenShift');
+const btnGenDelete = document.getElementById('btnGenDelete');
+const btnGenClose = document.getElementById('btnGenClose');
+const btnGenCancel = document.getElementById('btnGenCancel');
+const btnGenSaveNew = document.getElementById('btnGenSaveNew');
+const btnGenCreate = document.getElementById('btnGenCreate');
+
+const btnBulk = document.getElementById('btnBulk');
+const bulkBarEl = document.getElementById('bulkBar');
+const bulkCountEl = document.getElementById('bulkCount');
+const bulkShiftEl = document.getElementById('bulkShift');
+const bulkDaysEl = document.getElementById('bulkDays');
+const bulkDayBtns = document.querySelectorAll('.bulk-day-btn');
+const btnBulkDone = document.getElementById('btnBulkDone');
+const btnBulkAllRegular = document.getElementById('btnBulkAllRegular');
+const btnBulkAllPuasa = document.getElementById('btnBulkAllPuasa');
+const btnBulkNone = document.getElementById('btnBulkNone');
+const btnBulkEnable = document.getElementById('btnBulkEnable');
+const btnBulkDisable = document.getElementById('btnBulkDisable');
+const btnBulkMove = document.getElementById('btnBulkMove');
+const btnBulkShift = document.getElementById('btnBulkShift');
+const btnBulkDays = document.getElementById('btnBulkDays');
+const btnBulkDaysApply = document.getElementById('btnBulkDaysApply');
+const btnBulkDuplicate = document.getElementById('btnBulkDuplicate');
+const btnBulkDelete = document.getElementById('btnBulkDelete');
 
 // ─── HELPERS ─────────────────────────────────────────
 function pad(n) { return String(n).padStart(2, '0'); }
 function uid() { return Date.now().toString(36) + Math.random().toString(36).slice(2, 7); }
+function timeFromMs(ms) {
+  const d = new Date(ms);
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+// Legacy alarms (saved before snooze existed) get the defaults
+function snoozeMinutesOf(alarm) { return alarm.snoozeMinutes || DEFAULT_SNOOZE_MINUTES; }
+function snoozeMaxOf(alarm) { return alarm.snoozeMax === undefined ? DEFAULT_SNOOZE_MAX : alarm.snoozeMax; }
+function canSnooze(alarm) { return (alarm.snoozeCount || 0) < snoozeMaxOf(alarm); }
+// HH:MM the alarm rings on `date` (prayer-linked alarms shift daily); null if unknown
+function alarmTimeOn(alarm, date) { return AlarmSchedule.resolveAlarmTime(alarm, date, settings); }
 function escHtml(str) {
   const d = document.createElement('div');
   d.textContent = str;
@@ -172,11 +502,54 @@ function loadAlarms() {
   }
 }
 
+function loadSettings() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (e) {
+    console.warn('loadSettings error:', e);
+    return {};
+  }
+}
+
+// Revision of the saved alarms + settings, shared by every tab through
+// localStorage. It only grows (time-based, but never below the last value),
+// and travels with SYNC_ALARMS so the SW can refuse a stale copy.
+let dataRev = 0;
+
+function loadRev() {
+  return Number(localStorage.getItem(REV_KEY)) || 0;
+}
+
+function bumpRev() {
+  dataRev = Math.max(Date.now(), loadRev() + 1, dataRev + 1);
+  try { localStorage.setItem(REV_KEY, String(dataRev)); } catch (_) { }
+}
+
+function saveSettings() {
+  try {
+    bumpRev();
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    syncAlarmsToSW();
+    scheduleSync();
+  } catch (e) { console.warn('saveSettings error:', e); }
+}
+
+// For a change to both at once: one rev bump, one SW message, one push
+function saveSettingsAndAlarms() {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) { console.warn('saveSettings error:', e); }
+  saveAlarms();
+}
+
 function saveAlarms() {
+  bumpRev();
   try {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(alarms));
     // Sync to SW after every save
     syncAlarmsToSW();
+    scheduleSync();
   } catch (e) {
     console.warn('saveAlarms error (quota?):', e);
     // If quota exceeded (large audio files), try saving without audio blobs
@@ -185,6 +558,7 @@ function saveAlarms() {
       localStorage.setItem(STORAGE_KEY, JSON.stringify(slim));
       showToast('⚠️ Audio disimpan tanpa file (storage penuh). Upload ulang setelah reload.', 'warn');
     } catch (e2) { console.error('saveAlarms fallback error:', e2); }
+    syncAlarmsToSW();
   }
 }
 
@@ -200,60 +574,245 @@ function updateClock() {
   clockTimeEl.textContent = `${hh}:${mm}:${ss}`;
   clockDateEl.textContent = `${dayName}, ${now.getDate()} ${month} ${now.getFullYear()}`;
 
-  tickAlarms(now, hh, mm);
+  // Prayer-linked times and date-ranged profiles change per day, so
+  // re-evaluate both at midnight
+  const dateKey = now.toDateString();
+  if (dateKey !== lastRenderedDate) {
+    if (lastRenderedDate !== null) { refreshLiveProfile(); renderAlarms(); }
+    lastRenderedDate = dateKey;
+  }
+
+  tickAlarms(now);
+  renderReminderBanner(now.getTime());
+  checkAdminIdle(now.getTime());
+  tickKiosk(now);
+  tickOverview(now);
 }
 
 // ─── ALARM TICK ──────────────────────────────────────
-function tickAlarms(now, hh, mm) {
-  const currentMinute = `${hh}:${mm}`;
-  const currentDay = now.getDay();
-  const ss = now.getSeconds();
-
-  // Purge old firedKeys when the minute rolls over
-  if (currentMinute !== lastCheckedMinute) {
-    lastCheckedMinute = currentMinute;
-    for (const k in firedKeys) {
-      if (!k.endsWith('|' + currentMinute)) delete firedKeys[k];
+function tickAlarms(now) {
+  // Other tabs leave ticking to the leader; it picks up lastCheckMs on handover
+  if (!isRingLeader) return;
+  const nowMs = now.getTime();
+  // First tick after a fresh install looks back a few seconds, like the old
+  // "first 4 seconds of the minute" rule did
+  const from = Math.max(lastCheckMs === null ? nowMs - 5000 : lastCheckMs, nowMs - MAX_CATCHUP_MS);
+  lastCheckMs = nowMs;
+  if (nowMs - lastPersistedCheckMs > 5000) persistLastCheck();
+
+  // Snoozed alarms fire at an arbitrary second, so check them before the
+  // minute window. The enabled flag is ignored: a one-shot alarm has already
+  // disabled itself by the time it is snoozed.
+  const snoozed = alarms.filter(a => a.snoozeUntil && a.snoozeUntil <= nowMs);
+  if (snoozed.length) {
+    for (const alarm of snoozed) {
+      // A snooze that expired long ago (page was closed) is dropped, not rung late
+      const dueAt = alarm.snoozeUntil;
+      alarm.snoozeUntil = null;
+      if (nowMs - dueAt < 60000) ringAlarm(alarm, { source: 'snooze', dueAt });
+      else alarm.snoozeCount = 0;
     }
+    saveAlarms();
+    renderAlarms();
   }
 
-  // Only fire within the first 4 seconds of the minute (catches page-load edge case too)
-  if (ss > 4) return;
+  checkReminders(from, nowMs);
 
-  // Don't interrupt an already-ringing alarm
-  if (currentRinging) return;
-
-  for (const alarm of alarms) {
+  // Occurrence resolution covers weekdays, Hijri season and exceptions
+  const due = [];
+  for (const alarm of liveAlarms()) {
     if (!alarm.enabled) continue;
-    if (alarm.time !== currentMinute) continue;
+    AlarmSchedule.occurrencesBetween(alarm, from, nowMs, settings).forEach(at => due.push({ alarm, at }));
+  }
+  if (due.length === 0) return;
+  persistLastCheck();
+
+  due.sort((a, b) => a.at - b.at);
+  const onTime = due.filter(d => nowMs - d.at < ON_TIME_MS);
+  const late = due.filter(d => nowMs - d.at >= ON_TIME_MS);
 
-    // Check day filter
+  // Same-minute alarms: the first by queue order rings, the rest wait
+  onTime.map(d => ({ alarm: d.alarm, dueAt: d.at })).sort(compareQueued)
+    .forEach(d => ringAlarm(d.alarm, { dueAt: d.dueAt }));
+  if (late.length) handleMissed(late, nowMs);
+
+  // One-shot: auto-disable after firing (or being missed) if no days selected
+  let changed = false;
+  for (const { alarm } of due) {
     const hasDays = Array.isArray(alarm.days) && alarm.days.length > 0;
-    if (hasDays && !alarm.days.includes(currentDay)) continue;
+    if (!hasDays && alarm.enabled) { alarm.enabled = false; changed = true; }
+  }
+  if (changed) {
+    saveAlarms();
+    renderAlarms();
+  }
+}
+
+function persistLastCheck() {
+  lastPersistedCheckMs = lastCheckMs;
+  try { localStorage.setItem(LAST_CHECK_KEY, String(lastCheckMs)); } catch (_) { }
+}
 
-    const key = alarm.id + '|' + currentMinute;
-    if (firedKeys[key]) continue;
+function loadLastCheck() {
+  const v = parseInt(localStorage.getItem(LAST_CHECK_KEY), 10);
+  return isFinite(v) ? v : null;
+}
 
-    firedKeys[key] = true;
-    fireAlarm(alarm);
+// ─── MISSED ALARMS ───────────────────────────────────
+// Per alarm: 'ring' rings late while within the grace window (and notifies
+// beyond it), 'notify' only shows a "terlewat" notification, 'ignore' drops it.
+function missedPolicyOf(alarm) { return alarm.missedPolicy || DEFAULT_MISSED_POLICY; }
+function missedGraceOf(alarm) { return alarm.missedGrace || DEFAULT_MISSED_GRACE; }
 
-    // One-shot: auto-disable after firing if no days selected
-    if (!hasDays) {
-      alarm.enabled = false;
-      saveAlarms();
-      renderAlarms();
+// Late alarms that may still ring join the ringing queue like on-time ones
+function handleMissed(late, nowMs) {
+  const entries = [];
+  for (const { alarm, at } of late.slice().reverse()) {
+    const policy = missedPolicyOf(alarm);
+    if (policy === 'ignore') continue;
+    const lateMinutes = Math.round((nowMs - at) / 60000);
+    let outcome = 'notified';
+    if (policy === 'ring' && nowMs - at <= missedGraceOf(alarm) * 60000) {
+      ringAlarm(alarm, { lateMinutes, source: 'late', dueAt: at });
+      outcome = 'rang-late';
+    } else {
+      showMissedNotification(alarm, at);
     }
-    break; // one alarm at a time
+    entries.push({ alarmId: alarm.id, name: alarm.name || 'Alarm', at, detectedAt: nowMs, lateMinutes, outcome });
+  }
+  if (entries.length === 0) return;
+  recordMissed(entries);
+  entries.forEach(e => logEvent('missed', alarms.find(a => a.id === e.alarmId),
+    { detail: `${timeFromMs(e.at)}, terlambat ${e.lateMinutes} menit — ${MISSED_OUTCOME_LABELS[e.outcome]}` }));
+  const notified = entries.filter(e => e.outcome === 'notified').length;
+  if (notified) showToast(`⏰ ${notified} alarm terlewat — lihat panel "Terlewat"`);
+}
+
+function showMissedNotification(alarm, at) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  try {
+    const n = new Notification(`⏰ Terlewat: ${alarm.name || 'Alarm'} — ${timeFromMs(at)}`, {
+      body: 'Alarm tidak berbunyi karena perangkat tidur atau tab tertutup',
+      icon: '/timer/icon-192.png',
+      tag: 'alarmpro-missed-' + alarm.id,
+    });
+    n.onclick = () => { window.focus(); openMissedModal(); n.close(); };
+  } catch (_) { }
+}
+
+function loadMissed() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(MISSED_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) { return []; }
+}
+
+function recordMissed(entries) {
+  const list = entries.concat(loadMissed()).slice(0, MAX_MISSED_ENTRIES);
+  try { localStorage.setItem(MISSED_KEY, JSON.stringify(list)); } catch (_) { }
+  renderMissedBadge();
+}
+
+function renderMissedBadge() {
+  const unseen = loadMissed().filter(e => !e.seen).length;
+  missedBadgeEl.textContent = unseen ? String(unseen) : '';
+}
+
+const MISSED_OUTCOME_LABELS = {
+  'rang-late': 'dibunyikan terlambat',
+  notified: 'hanya notifikasi',
+};
+
+function openMissedModal() {
+  const list = loadMissed();
+  missedListEl.innerHTML = list.length === 0
+    ? '<div class="ex-empty">Tidak ada alarm yang terlewat</div>'
+    : list.map(e => {
+      const d = new Date(e.at);
+      return `
+        <div class="report-item ${e.outcome === 'rang-late' ? 'is-warn' : 'is-error'}">
+          ${escHtml(e.name)} — ${timeFromMs(e.at)}
+          <small>${DAY_NAMES[d.getDay()]}, ${d.getDate()} ${MONTH_NAMES[d.getMonth()]} · terlambat ${e.lateMinutes} menit
+            · ${MISSED_OUTCOME_LABELS[e.outcome] || e.outcome}</small>
+        </div>`;
+    }).join('');
+  // Opening the panel marks everything as seen
+  try { localStorage.setItem(MISSED_KEY, JSON.stringify(list.map(e => ({ ...e, seen: true })))); } catch (_) { }
+  renderMissedBadge();
+  missedOverlay.classList.remove('hidden');
+}
+
+function closeMissedModal() {
+  missedOverlay.classList.add('hidden');
+}
+
+// ─── RINGING QUEUE ───────────────────────────────────
+// Alarms that come due while another one rings (or in the same minute)
+// wait here instead of being dropped, and ring one after another.
+// Order: priority, then category (Puasa first), then due time.
+const PRIORITY_RANK = { high: 0, normal: 1, low: 2 };
+const CATEGORY_RANK = { puasa: 0, regular: 1 };
+// The SW reports alarms the page has usually rung itself already; an alarm
+// rung this recently is not rung again (snoozes excepted)
+const RERING_GUARD_MS = 90 * 1000;
+let ringQueue = [];
+const lastRungAt = new Map();
+
+function priorityOf(alarm) { return alarm.priority || 'normal'; }
+
+function compareQueued(a, b) {
+  return (PRIORITY_RANK[priorityOf(a.alarm)] - PRIORITY_RANK[priorityOf(b.alarm)])
+    || (CATEGORY_RANK[a.alarm.category || 'regular'] - CATEGORY_RANK[b.alarm.category || 'regular'])
+    || ((a.dueAt || 0) - (b.dueAt || 0));
+}
+
+function ringAlarm(alarm, info = {}) {
+  const id = alarm.id;
+  if (currentRinging && currentRinging.id === id) return;
+  if (ringQueue.some(q => q.alarm.id === id)) return;
+  if (info.source !== 'snooze' && Date.now() - (lastRungAt.get(id) || 0) < RERING_GUARD_MS) return;
+  if (!currentRinging) { fireAlarm(alarm, info); return; }
+
+  ringQueue.push({ alarm, info, dueAt: info.dueAt || Date.now(), queuedAt: Date.now() });
+  ringQueue.sort(compareQueued);
+  logEvent('queued', alarms.find(a => a.id === id) || alarm, {
+    via: info.source || 'tick',
+    detail: `menunggu "${currentRinging.name || 'Alarm'}" selesai`,
+  });
+  renderRingQueue();
+}
+
+// Called whenever the ringing alarm is dismissed, snoozed or ends by itself
+function ringNext() {
+  while (!currentRinging && ringQueue.length) {
+    const next = ringQueue.shift();
+    // Deleted while waiting: drop it
+    if (!alarms.some(a => a.id === next.alarm.id)) continue;
+    const waited = Math.round((Date.now() - next.queuedAt) / 60000);
+    fireAlarm(next.alarm, { ...next.info, source: 'queue', waitedMinutes: waited });
   }
+  renderRingQueue();
+}
+
+function renderRingQueue() {
+  const n = ringQueue.length;
+  ringingQueueEl.classList.toggle('hidden', n === 0);
+  ringingQueueEl.textContent = n === 0 ? '' :
+    `⏳ ${n} alarm lagi menunggu: ${ringQueue.map(q => q.alarm.name || 'Alarm').join(', ')}`;
+  broadcastRingState();
 }
 
 // ─── FIRE / DISMISS ──────────────────────────────────
-async function fireAlarm(alarm) {
+async function fireAlarm(alarm, info = {}) {
   currentRinging = alarm;
+  lastRungAt.set(alarm.id, Date.now());
 
-  ringingTimeEl.textContent = alarm.time;
-  ringingLabelEl.textContent = alarm.name || 'Alarm';
+  ringingTimeEl.textContent = alarmTimeOn(alarm, new Date()) || alarm.time;
+  ringingLabelEl.textContent = (alarm.name || 'Alarm') +
+    (info.lateMinutes ? ` · terlambat ${info.lateMinutes} menit` : '');
+  updateSnoozeButton(alarms.find(a => a.id === alarm.id) || alarm);
   ringingOverlay.classList.remove('hidden');
+  renderRingQueue();
 
   // Also show OS notification (works even when tab is in another window)
   showWebNotification(alarm);
@@ -262,340 +821,4290 @@ async function fireAlarm(alarm) {
 
   // Find the full alarm with audioDataUrl (SW sends slim version without audio)
   const fullAlarm = alarms.find(a => a.id === alarm.id) || alarm;
+  logEvent('fired', fullAlarm, {
+    via: info.source || 'tick',
+    detail: [
+      info.lateMinutes ? `terlambat ${info.lateMinutes} menit` : '',
+      info.source === 'queue' ? `antre ${info.waitedMinutes} menit` : '',
+    ].filter(Boolean).join(', '),
+  });
 
-  if (fullAlarm.audioDataUrl) {
-    activeAudioEl = new Audio(fullAlarm.audioDataUrl);
-    activeAudioEl.loop = false;
-    activeAudioEl.volume = 1.0;
-    activeAudioEl.addEventListener('ended', () => {
-      if (currentRinging) dismissAlarm();
-    }, { once: true });
-    const playPromise = activeAudioEl.play();
-    if (playPromise !== undefined) {
-      playPromise.catch(() => { playBeepFallback(); });
-    }
-  } else if (fullAlarm.audioKey) {
-    try {
-      const blob = await getAudioFromDB(fullAlarm.audioKey);
-      if (blob) {
-        activeObjectUrl = URL.createObjectURL(blob);
-        activeAudioEl = new Audio(activeObjectUrl);
-        activeAudioEl.loop = false;
-        activeAudioEl.volume = 1.0;
-        activeAudioEl.addEventListener('ended', () => {
-          if (currentRinging) dismissAlarm();
-        }, { once: true });
-        const p = activeAudioEl.play();
-        if (p !== undefined) { p.catch(() => { playBeepFallback(); }); }
-      } else {
-        playBeepFallback();
-      }
-    } catch (_) {
-      playBeepFallback();
-    }
-  } else {
-    playBeepFallback();
-  }
+  startSound(fullAlarm, via => finishRinging(alarm, via), reason => fallbackToBeep(fullAlarm, reason),
+    reason => logEvent('audio-error', fullAlarm, { detail: reason }));
 }
 
-function dismissAlarm() {
-  ringingOverlay.classList.add('hidden');
-  stopCurrentAudio();
-  currentRinging = null;
+// The sound stopped by itself (`ended`) or hit its max duration (`timeout`)
+function finishRinging(alarm, via) {
+  if (currentRinging && currentRinging.id === alarm.id) dismissAlarm(via);
 }
 
-// Snooze di-nonaktifkan
+// Audio that was configured but couldn't play: log why, then beep instead.
+// The play() promise can reject after a dismiss, so re-check the alarm.
+// The beep keeps the alarm's own repeat/volume/fade and max duration timer.
+function fallbackToBeep(alarm, reason) {
+  if (!currentRinging || currentRinging.id !== alarm.id) return;
+  logEvent('audio-error', alarm, { detail: reason });
+  logEvent('fallback-beep', alarm);
+  stopClip();
+  playBeepFallback(playbackOf(alarm), () => finishRinging(alarm, 'ended'));
+}
 
-// ─── AUDIO ───────────────────────────────────────────
-function stopCurrentAudio() {
-  if (activeAudioEl) {
-    try { activeAudioEl.pause(); activeAudioEl.currentTime = 0; } catch (_) { }
-    activeAudioEl = null;
+// `via` records who stopped it: overlay, notification, escape or ended
+function dismissAlarm(via = 'overlay') {
+  if (!isRingLeader) {
+    if (mirroredRinging) postToTabs({ type: 'DISMISS', alarmId: mirroredRinging.id, via });
+    ringingOverlay.classList.add('hidden');
+    return;
   }
-  if (activeObjectUrl) {
-    try { URL.revokeObjectURL(activeObjectUrl); } catch (_) {}
-    activeObjectUrl = null;
+  if (currentRinging) postToSW({ type: 'DISMISS_ALARM', alarmId: currentRinging.id });
+  if (currentRinging) logEvent('dismissed', alarms.find(a => a.id === currentRinging.id) || currentRinging, { via });
+  ringingOverlay.classList.add('hidden');
+  stopCurrentAudio();
+  // A real dismiss ends the snooze chain, so the next ring starts from zero
+  const alarm = currentRinging && alarms.find(a => a.id === currentRinging.id);
+  if (alarm && (alarm.snoozeCount || alarm.snoozeUntil)) {
+    alarm.snoozeCount = 0;
+    alarm.snoozeUntil = null;
+    saveAlarms();
+    renderAlarms();
   }
-  stopBeep();
+  currentRinging = null;
+  ringNext();
 }
 
-function playBeepFallback() {
-  const Ctx = window.AudioContext || window.webkitAudioContext;
-  if (!Ctx) return;
-  try {
-    beepCtx = new Ctx();
-  } catch (_) { return; }
+// ─── SNOOZE ──────────────────────────────────────────
+// Called from the overlay button (no id → the ringing alarm) and from the
+// SW notification action (id of the alarm whose notification was clicked).
+function snoozeAlarm(id) {
+  if (!isRingLeader) {
+    const mirroredId = id || (mirroredRinging && mirroredRinging.id);
+    if (mirroredId) postToTabs({ type: 'SNOOZE', alarmId: mirroredId });
+    return;
+  }
+  const targetId = id || (currentRinging && currentRinging.id);
+  const alarm = alarms.find(a => a.id === targetId);
+  if (!alarm) return;
+  if (!canSnooze(alarm)) {
+    showToast('⚠️ Batas tunda sudah tercapai');
+    return;
+  }
 
-  function beep() {
-    if (!beepCtx) return;
-    try {
-      const osc = beepCtx.createOscillator();
-      const gain = beepCtx.createGain();
-      osc.connect(gain);
-      gain.connect(beepCtx.destination);
-      osc.type = 'sine';
-      osc.frequency.setValueAtTime(900, beepCtx.currentTime);
-      gain.gain.setValueAtTime(0.4, beepCtx.currentTime);
-      gain.gain.exponentialRampToValueAtTime(0.001, beepCtx.currentTime + 0.5);
-      osc.start(beepCtx.currentTime);
-      osc.stop(beepCtx.currentTime + 0.5);
-    } catch (_) { }
+  const wasRinging = currentRinging && currentRinging.id === alarm.id;
+  if (wasRinging) {
+    ringingOverlay.classList.add('hidden');
+    stopCurrentAudio();
+    currentRinging = null;
   }
+  // Snoozed from its notification while still waiting in the queue
+  ringQueue = ringQueue.filter(q => q.alarm.id !== alarm.id);
 
-  beep();
-  beepInterval = setInterval(beep, 800);
+  alarm.snoozeCount = (alarm.snoozeCount || 0) + 1;
+  alarm.snoozeUntil = Date.now() + snoozeMinutesOf(alarm) * 60000;
+  postToSW({ type: 'DISMISS_ALARM', alarmId: alarm.id });
+  logEvent('snoozed', alarm, { detail: `sampai ${timeFromMs(alarm.snoozeUntil)} (ke-${alarm.snoozeCount})` });
+  saveAlarms();
+  renderAlarms();
+  showToast(`💤 Ditunda ${snoozeMinutesOf(alarm)} menit — berbunyi lagi ${timeFromMs(alarm.snoozeUntil)}`);
+  if (wasRinging) ringNext();
+  else renderRingQueue();
 }
 
-function stopBeep() {
-  if (beepInterval) { clearInterval(beepInterval); beepInterval = null; }
-  if (beepCtx) {
-    try { beepCtx.close(); } catch (_) { }
-    beepCtx = null;
-  }
+function cancelSnooze(id) {
+  const alarm = alarms.find(a => a.id === id);
+  if (!alarm) return;
+  alarm.snoozeUntil = null;
+  alarm.snoozeCount = 0;
+  saveAlarms();
+  renderAlarms();
+  showToast('🔕 Tunda dibatalkan');
 }
 
-// ─── RENDER ──────────────────────────────────────────
-function renderAlarms() {
-  if (alarmListRegularEl) alarmListRegularEl.querySelectorAll('.alarm-card').forEach(c => c.remove());
-  if (alarmListPuasaEl) alarmListPuasaEl.querySelectorAll('.alarm-card').forEach(c => c.remove());
-  const regs = alarms.filter(a => (a.category || 'regular') !== 'puasa');
-  const puas = alarms.filter(a => (a.category || 'regular') === 'puasa');
-  if (emptyStateRegularEl) emptyStateRegularEl.style.display = regs.length === 0 ? '' : 'none';
-  if (emptyStatePuasaEl) emptyStatePuasaEl.style.display = puas.length === 0 ? '' : 'none';
-  regs.forEach(alarm => alarmListRegularEl && alarmListRegularEl.appendChild(buildCard(alarm)));
-  puas.forEach(alarm => alarmListPuasaEl && alarmListPuasaEl.appendChild(buildCard(alarm)));
+function updateSnoozeButton(alarm) {
+  btnSnooze.classList.toggle('hidden', !canSnooze(alarm));
+  snoozeLabelEl.textContent = `Tunda ${snoozeMinutesOf(alarm)} menit`;
 }
 
-function buildCard(alarm) {
-  const card = document.createElement('div');
-  card.className = 'alarm-card' + (alarm.enabled ? '' : ' is-disabled');
-  card.dataset.id = alarm.id;
+// ─── TAB COORDINATION ────────────────────────────────
+// With AlarmPro open in several tabs only the leader ticks and plays sound.
+// The leader is the tab holding the 'alarmpro-leader' Web Lock; when it
+// closes, the browser hands the lock to the next waiting tab. The other
+// tabs mirror its ringing screen and pass their button presses back over
+// a BroadcastChannel. Without either API every tab leads, as before.
+const tabChannel = 'BroadcastChannel' in window ? new BroadcastChannel('alarmpro') : null;
+let isRingLeader = !tabChannel || !(navigator.locks && navigator.locks.request);
+let mirroredRinging = null;   // follower only: { id, name } the leader is ringing
 
-  const hasDays = Array.isArray(alarm.days) && alarm.days.length > 0;
-  const dayPills = hasDays
-    ? alarm.days.map(d => `<span class="day-pill">${DAY_SHORT[d]}</span>`).join('')
-    : '';
+function startLeaderElection() {
+  if (isRingLeader) return;
+  // The promise never settles, so the lock is held for the tab's lifetime
+  navigator.locks.request('alarmpro-leader', () => new Promise(() => becomeLeader()));
+  postToTabs({ type: 'HELLO' });
+}
 
-  const audioBadge = (alarm.audioDataUrl || alarm.audioKey)
-    ? `<div class="alarm-audio-badge">🎵 ${escHtml(alarm.audioName || 'Audio custom')}</div>`
-    : '';
-  const onceBadge = !hasDays
-    ? `<div class="alarm-once-badge">⚡ Sekali saja</div>` : '';
+function becomeLeader() {
+  isRingLeader = true;
+  // Resume the check window where the previous leader left it
+  lastCheckMs = loadLastCheck();
+  const orphan = mirroredRinging && alarms.find(a => a.id === mirroredRinging.id);
+  mirroredRinging = null;
+  ringingOverlay.classList.add('hidden');
+  // The old leader was closed mid-ring: keep ringing here
+  if (orphan) ringAlarm(orphan, { source: 'tab' });
+  syncNow();
+}
 
-  card.innerHTML = `
-    <div class="alarm-info">
-      <div class="alarm-time-display">${escHtml(alarm.time)}</div>
-      <div class="alarm-name">${escHtml(alarm.name || 'Alarm')}</div>
-      ${hasDays ? `<div class="alarm-days">${dayPills}</div>` : ''}
-      ${audioBadge}${onceBadge}
-    </div>
-    <div class="alarm-controls">
-      <button class="btn-icon-action edit" title="Edit" id="editBtn_${alarm.id}">✏️</button>
-      <button class="btn-icon-action delete" title="Hapus" id="delBtn_${alarm.id}">🗑️</button>
-      <label class="toggle-switch" title="${alarm.enabled ? 'Aktif' : 'Nonaktif'}">
-        <input type="checkbox" class="alarm-toggle" ${alarm.enabled ? 'checked' : ''} />
-        <span class="toggle-slider"></span>
-      </label>
-    </div>
-  `;
+function postToTabs(message) {
+  if (tabChannel) tabChannel.postMessage(message);
+}
 
-  card.querySelector('.alarm-toggle').addEventListener('change', e => {
-    alarm.enabled = e.target.checked;
-    card.classList.toggle('is-disabled', !alarm.enabled);
-    saveAlarms();
-  });
-  card.querySelector(`#editBtn_${alarm.id}`).addEventListener('click', () => openEditModal(alarm.id));
-  card.querySelector(`#delBtn_${alarm.id}`).addEventListener('click', async () => {
-    const id = alarm.id;
-    if (alarm.audioKey) { try { await deleteAudioFromDB(alarm.audioKey); } catch (_) {} }
-    alarms = alarms.filter(a => a.id !== id);
-    saveAlarms();
-    renderAlarms();
-    showToast('🗑️ Alarm dihapus');
+// Leader: tell the other tabs what is ringing, or that nothing is
+function broadcastRingState() {
+  if (!isRingLeader) return;
+  postToTabs({
+    type: 'RING_STATE',
+    ringing: currentRinging ? { id: currentRinging.id, name: currentRinging.name } : null,
+    time: ringingTimeEl.textContent,
+    label: ringingLabelEl.textContent,
+    queue: ringingQueueEl.textContent,
+    snoozeLabel: btnSnooze.classList.contains('hidden') ? '' : snoozeLabelEl.textContent,
   });
+}
 
-  return card;
+function showMirroredRinging(state) {
+  mirroredRinging = state.ringing;
+  if (!mirroredRinging) {
+    ringingOverlay.classList.add('hidden');
+    return;
+  }
+  ringingTimeEl.textContent = state.time;
+  ringingLabelEl.textContent = state.label;
+  ringingQueueEl.textContent = state.queue;
+  ringingQueueEl.classList.toggle('hidden', !state.queue);
+  snoozeLabelEl.textContent = state.snoozeLabel;
+  btnSnooze.classList.toggle('hidden', !state.snoozeLabel);
+  ringingOverlay.classList.remove('hidden');
 }
 
-// ─── MODAL ───────────────────────────────────────────
-function openAddModal(defaultCategory) {
-  editingId = null;
-  modalTitle.textContent = 'Tambah Alarm';
-  alarmNameEl.value = '';
-  alarmTimeEl.value = '';
-  alarmRepeatEl.checked = true;
-  dayBtns.forEach(b => b.classList.remove('selected'));
-  if (alarmCategoryEl) alarmCategoryEl.value = defaultCategory || 'regular';
-  pendingAudioFile = null;
-  pendingKeepExisting = false;
-  clearPendingAudio();
-  modalOverlay.classList.remove('hidden');
-  // Focus the time input after a small delay so modal is visible
-  setTimeout(() => alarmTimeEl.focus(), 100);
+if (tabChannel) tabChannel.addEventListener('message', event => {
+  const msg = event.data || {};
+  if (isRingLeader) {
+    if (msg.type === 'HELLO') broadcastRingState();
+    if (msg.type === 'DISMISS' && currentRinging && currentRinging.id === msg.alarmId) dismissAlarm(msg.via);
+    if (msg.type === 'SNOOZE') snoozeAlarm(msg.alarmId);
+    return;
+  }
+  if (msg.type === 'RING_STATE') showMirroredRinging(msg);
+  if (msg.type === 'REMINDER') {
+    const alarm = alarms.find(a => a.id === msg.alarmId);
+    if (alarm) showReminder(alarm, msg.at, msg.lead, { via: 'tab' });
+  }
+});
+
+// Another tab saved alarms or settings: show them here without a reload
+window.addEventListener('storage', e => {
+  if (e.key === REV_KEY) reloadFromStorage();
+});
+
+// ─── PRE-ALARM REMINDERS ─────────────────────────────
+// alarm.reminders lists lead times in minutes (e.g. [5, 1]). Each one shows
+// a silent notification and the countdown banner; the SW raises the same
+// reminder when the tab is in the background. Both sides may report one
+// reminder, so `remindedKeys` keeps it to a single log entry. Only the
+// leading tab logs and notifies; the others just show the banner.
+const reminderBannerEl = document.getElementById('reminderBanner');
+const reminderTextEl = document.getElementById('reminderText');
+let activeReminders = [];   // [{ alarmId, at }] occurrences being counted down
+const remindedKeys = new Set();
+
+function remindersOf(alarm) {
+  return Array.isArray(alarm.reminders) ? alarm.reminders : [];
 }
 
-function openEditModal(id) {
-  const alarm = alarms.find(a => a.id === id);
-  if (!alarm) return;
-  editingId = id;
-  modalTitle.textContent = 'Edit Alarm';
-  alarmNameEl.value = alarm.name || '';
-  alarmTimeEl.value = alarm.time || '';
-  alarmRepeatEl.checked = alarm.repeat !== false;
-  if (alarmCategoryEl) alarmCategoryEl.value = alarm.category || 'regular';
-  dayBtns.forEach(b => {
-    b.classList.toggle('selected', alarm.days && alarm.days.includes(parseInt(b.dataset.day)));
-  });
-  if (alarm.audioDataUrl || alarm.audioKey) {
-    pendingAudioDataUrl = null;
-    pendingAudioFile = null;
-    pendingAudioName = alarm.audioName || 'audio';
-    pendingKeepExisting = true;
-    showAudioPreview(pendingAudioName);
-  } else { clearPendingAudio(); }
-  modalOverlay.classList.remove('hidden');
+function checkReminders(from, nowMs) {
+  for (const alarm of liveAlarms()) {
+    if (!alarm.enabled || remindersOf(alarm).length === 0) continue;
+    AlarmSchedule.remindersBetween(alarm, from, nowMs, settings)
+      // A reminder only makes sense in its own minute, not after a catch-up
+      .filter(r => nowMs - (r.at - r.lead * 60000) < ON_TIME_MS)
+      .forEach(r => showReminder(alarm, r.at, r.lead));
+  }
 }
 
-function closeModal() {
+function showReminder(alarm, at, lead, { via = 'tick' } = {}) {
+  if (at <= Date.now() || alarm.skipAt === at) return;
+  const key = `${alarm.id}:${at}:${lead}`;
+  if (remindedKeys.has(key)) return;
+  remindedKeys.add(key);
+
+  if (!activeReminders.some(r => r.alarmId === alarm.id && r.at === at)) {
+    activeReminders.push({ alarmId: alarm.id, at });
+    activeReminders.sort((a, b) => a.at - b.at);
+  }
+  if (isRingLeader) {
+    logEvent('reminded', alarm, { via, detail: `${lead} menit sebelum ${timeFromMs(at)}` });
+    if (via === 'tick') {
+      showReminderNotification(alarm, at, lead);
+      postToTabs({ type: 'REMINDER', alarmId: alarm.id, at, lead });
+    }
+  }
+  renderReminderBanner(Date.now());
+}
+
+// Goes through the SW registration when possible: only that kind of
+// notification can carry the "Lewati" action
+function showReminderNotification(alarm, at, lead) {
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  const title = `⏳ ${alarm.name || 'Alarm'} dalam ${lead} menit`;
+  const options = {
+    body: `Berbunyi pukul ${timeFromMs(at)}`,
+    icon: '/timer/icon-192.png',
+    tag: 'alarmpro-pre-' + alarm.id,
+    silent: true,
+    data: { alarmId: alarm.id, at, kind: 'reminder' },
+  };
+  if (swRegistration) {
+    // Skipping from the notification can't ask for the admin PIN
+    const actions = adminPinSet() ? [] : [{ action: 'skip', title: '⏭ Lewati alarm ini' }];
+    swRegistration.showNotification(title, { ...options, actions }).catch(() => { });
+    return;
+  }
+  try {
+    const n = new Notification(title, options);
+    n.onclick = () => { window.focus(); n.close(); };
+  } catch (_) { }
+}
+
+function closeReminderNotification(alarmId) {
+  if (!swRegistration) return;
+  swRegistration.getNotifications({ tag: 'alarmpro-pre-' + alarmId })
+    .then(list => list.forEach(n => n.close())).catch(() => { });
+}
+
+function renderReminderBanner(nowMs) {
+  // Also drops reminders skipped, switched off or deleted in another tab
+  activeReminders = activeReminders.filter(r => {
+    const alarm = alarms.find(a => a.id === r.alarmId);
+    return r.at > nowMs && alarm && alarm.enabled && alarm.skipAt !== r.at;
+  });
+  const next = activeReminders[0];
+  const alarm = next && alarms.find(a => a.id === next.alarmId);
+  if (!alarm) {
+    reminderBannerEl.classList.add('hidden');
+    return;
+  }
+  const left = Math.ceil((next.at - nowMs) / 1000);
+  const more = activeReminders.length - 1;
+  reminderTextEl.textContent = `⏳ ${alarm.name || 'Alarm'} berbunyi dalam ${pad(Math.floor(left / 60))}:${pad(left % 60)}`
+    + (more > 0 ? ` (+${more} lagi)` : '');
+  reminderBannerEl.classList.remove('hidden');
+}
+
+// Skips only the given occurrence; the alarm rings as usual after that.
+// A one-shot alarm has no next occurrence, so it is switched off instead.
+function skipOccurrence(id, at) {
+  const alarm = alarms.find(a => a.id === id);
+  if (!alarm || !at) return;
+  activeReminders = activeReminders.filter(r => !(r.alarmId === id && r.at === at));
+  closeReminderNotification(id);
+  renderReminderBanner(Date.now());
+  const hasDays = Array.isArray(alarm.days) && alarm.days.length > 0;
+  if (hasDays ? alarm.skipAt === at : !alarm.enabled) return;
+  if (hasDays) alarm.skipAt = at;
+  else alarm.enabled = false;
+  logEvent('skipped', alarm, { detail: timeFromMs(at) });
+  saveAlarms();
+  renderAlarms();
+  showToast(`⏭ ${alarm.name || 'Alarm'} pukul ${timeFromMs(at)} dilewati`);
+}
+
+function cancelSkip(id) {
+  const alarm = alarms.find(a => a.id === id);
+  if (!alarm) return;
+  alarm.skipAt = null;
+  saveAlarms();
+  renderAlarms();
+  showToast('🔔 Alarm akan berbunyi lagi seperti biasa');
+}
+
+document.getElementById('btnReminderSkip').addEventListener('click', () => {
+  const next = activeReminders[0];
+  if (next) requireAdmin(() => skipOccurrence(next.alarmId, next.at));
+});
+document.getElementById('btnReminderClose').addEventListener('click', () => {
+  // Hides the countdown only; the alarm itself still rings
+  const next = activeReminders.shift();
+  if (next) closeReminderNotification(next.alarmId);
+  renderReminderBanner(Date.now());
+});
+
+// ─── AUDIO ───────────────────────────────────────────
+// Per-alarm playback settings, applied the same way to data-URL audio,
+// IndexedDB blobs and the beep. `repeat: null` keeps what each source always
+// did: a clip plays once, the beep goes on until dismissed. 0 = loop.
+const PLAYBACK_DEFAULTS = { repeat: null, maxSeconds: 0, fadeIn: 0, volume: 1, trimStart: 0, trimEnd: 0 };
+const BEEP_SLOTS_PER_PATTERN = 5;   // 4 beeps + 1 silent slot = one "play"
+let ringTimer = null;
+let fadeTimer = null;
+let soundGen = 0;
+
+function playbackOf(alarm) {
+  return { ...PLAYBACK_DEFAULTS, ...(alarm.playback || {}) };
+}
+
+function repeatCountOf(pb, source) {
+  if (pb.repeat === null || pb.repeat === undefined) return source === 'beep' ? 0 : 1;
+  return pb.repeat;
+}
+
+// Starts whatever the alarm is set to play. onDone(via) runs when the sound
+// ends on its own ('ended') or reaches max duration ('timeout'); onError gets
+// a reason when the configured sound can't play at all. onWarn reports a
+// sequence step that was replaced by a beep while the rest kept playing.
+async function startSound(alarm, onDone, onError, onWarn = () => { }) {
+  const gen = ++soundGen;
+  const pb = playbackOf(alarm);
+  const type = soundTypeOf(alarm);
+  const finished = () => { if (gen === soundGen) onDone('ended'); };
+  const failed = reason => { if (gen === soundGen) onError(reason); };
+  if (pb.maxSeconds > 0) ringTimer = setTimeout(() => onDone('timeout'), pb.maxSeconds * 1000);
+
+  if (type === 'tts') {
+    speakAnnouncement(alarm).then(done => { if (done) finished(); }).catch(err => failed(err.message));
+    return;
+  }
+  if (type === 'beep') {
+    playBeepFallback(pb, finished);
+    return;
+  }
+  if (type === 'sequence') {
+    if (!(alarm.steps || []).length) { failed('urutan suara kosong'); return; }
+    playSequence(alarm.steps, pb, gen, finished, onWarn);
+    return;
+  }
+  if (alarm.audioDataUrl) {
+    playClip(alarm.audioDataUrl, pb, finished, err => failed(`gagal memutar: ${err.name || err}`));
+    return;
+  }
+  if (alarm.audioBlob || alarm.soundId || alarm.audioKey) {
+    try {
+      const blob = alarm.audioBlob || await blobForRef(alarm);
+      if (gen !== soundGen) return;   // stopped while reading
+      if (!blob) { failed('audio tidak ditemukan di IndexedDB'); return; }
+      activeObjectUrl = URL.createObjectURL(blob);
+      playClip(activeObjectUrl, pb, finished, err => failed(`gagal memutar: ${err.name || err}`));
+    } catch (err) {
+      failed(`gagal membaca audio: ${err && err.message || err}`);
+    }
+    return;
+  }
+  playBeepFallback(pb, finished);
+}
+
+function playClip(src, pb, onDone, onError) {
+  const audio = activeAudioEl = new Audio(src);
+  const times = repeatCountOf(pb, 'clip');
+  let plays = 0;
+  audio.volume = pb.fadeIn > 0 ? 0 : pb.volume;
+
+  const endOfPass = () => {
+    if (activeAudioEl !== audio) return;
+    plays++;
+    if (times === 0 || plays < times) {
+      audio.currentTime = pb.trimStart;
+      audio.play().catch(onError);
+    } else {
+      audio.pause();
+      onDone();
+    }
+  };
+  audio.addEventListener('loadedmetadata', () => {
+    if (pb.trimStart) audio.currentTime = pb.trimStart;
+  }, { once: true });
+  audio.addEventListener('timeupdate', () => {
+    if (pb.trimEnd && audio.currentTime >= pb.trimEnd) endOfPass();
+  });
+  audio.addEventListener('ended', endOfPass);
+
+  if (pb.fadeIn > 0) startFadeIn(pb, v => { audio.volume = v; });
+  const p = audio.play();
+  if (p !== undefined) p.catch(onError);
+}
+
+// ─── SOUND SEQUENCE ──────────────────────────────────
+// Steps play back to back; `repeat` repeats the whole sequence. A clip that
+// is missing or won't play is replaced by a short beep pattern so the bell
+// still sounds, and reported through onWarn.
+const BEEP_STEP_MS = 800;
+let sequenceWake = null;   // resolves the step in progress when stopped
+
+async function playSequence(steps, pb, gen, onDone, onWarn) {
+  const times = repeatCountOf(pb, 'clip');
+  const level = { value: pb.fadeIn > 0 ? 0 : pb.volume };
+  if (pb.fadeIn > 0) {
+    startFadeIn(pb, v => {
+      level.value = v;
+      if (activeAudioEl) activeAudioEl.volume = v;
+    });
+  }
+  for (let pass = 0; times === 0 || pass < times; pass++) {
+    for (const step of steps) {
+      if (gen !== soundGen) return;
+      try {
+        await playStep(step, level, gen);
+      } catch (reason) {
+        if (gen !== soundGen) return;
+        onWarn(`langkah "${stepLabel(step)}": ${reason}`);
+        await playStep({ kind: 'beep', count: 4 }, level, gen);
+      }
+    }
+  }
+  onDone();
+}
+
+function playStep(step, level, gen) {
+  return new Promise((resolve, reject) => {
+    sequenceWake = resolve;
+    if (step.kind === 'pause') {
+      setTimeout(resolve, (step.seconds || 0) * 1000);
+    } else if (step.kind === 'beep') {
+      playBeepPattern(step.count || 1, level.value);
+      setTimeout(resolve, (step.count || 1) * BEEP_STEP_MS);
+    } else {
+      const source = step.file ? Promise.resolve(step.file) : blobForRef(step);
+      source.then(blob => {
+        if (gen !== soundGen) { resolve(); return; }
+        if (!blob) { reject('audio tidak ditemukan'); return; }
+        if (activeObjectUrl) URL.revokeObjectURL(activeObjectUrl);
+        activeObjectUrl = URL.createObjectURL(blob);
+        const audio = activeAudioEl = new Audio(activeObjectUrl);
+        audio.volume = level.value;
+        audio.addEventListener('ended', () => resolve(), { once: true });
+        audio.addEventListener('error', () => reject('gagal memutar'), { once: true });
+        audio.play().catch(err => reject(`gagal memutar: ${err.name || err}`));
+      }, () => reject('gagal membaca audio'));
+    }
+  });
+}
+
+// `count` beeps on the shared beep context, scheduled up front
+function playBeepPattern(count, level) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx || level <= 0) return;
+  try {
+    if (!beepCtx) beepCtx = new Ctx();
+    const t0 = beepCtx.currentTime;
+    for (let i = 0; i < count; i++) {
+      const at = t0 + i * BEEP_STEP_MS / 1000;
+      const osc = beepCtx.createOscillator();
+      const gain = beepCtx.createGain();
+      osc.connect(gain);
+      gain.connect(beepCtx.destination);
+      osc.type = 'sine';
+      osc.frequency.setValueAtTime(900, at);
+      gain.gain.setValueAtTime(0.4 * level, at);
+      gain.gain.exponentialRampToValueAtTime(0.001, at + 0.5);
+      osc.start(at);
+      osc.stop(at + 0.5);
+    }
+  } catch (_) { }
+}
+
+// Seconds per step; null when a clip's length is unknown
+function stepDuration(step) {
+  if (step.kind === 'pause') return step.seconds || 0;
+  if (step.kind === 'beep') return (step.count || 1) * BEEP_STEP_MS / 1000;
+  const meta = soundMeta(step.soundId);
+  const d = step.file ? step.duration : meta && meta.duration;
+  return typeof d === 'number' ? d : null;
+}
+
+function stepLabel(step) {
+  if (step.kind === 'pause') return `Jeda ${step.seconds || 0} detik`;
+  if (step.kind === 'beep') return `Beep ${step.count || 1}x`;
+  const meta = soundMeta(step.soundId);
+  return step.file ? step.name : meta ? meta.name : 'Klip (hilang)';
+}
+
+function formatDuration(seconds) {
+  const s = Math.round(seconds);
+  return `${Math.floor(s / 60)}:${pad(s % 60)}`;
+}
+
+// "0:42", or "±0:42" when some clip length is unknown
+function describeSequenceDuration(steps) {
+  const parts = steps.map(stepDuration);
+  const total = parts.reduce((sum, d) => sum + (d || 0), 0);
+  return (parts.includes(null) ? '±' : '') + formatDuration(total);
+}
+
+function startFadeIn(pb, apply) {
+  stopFade();
+  const started = Date.now();
+  apply(0);
+  fadeTimer = setInterval(() => {
+    const k = Math.min(1, (Date.now() - started) / (pb.fadeIn * 1000));
+    apply(pb.volume * k);
+    if (k >= 1) stopFade();
+  }, 100);
+}
+
+function stopFade() {
+  if (fadeTimer) { clearInterval(fadeTimer); fadeTimer = null; }
+}
+
+function stopClip() {
+  stopFade();
+  if (activeAudioEl) {
+    try { activeAudioEl.pause(); activeAudioEl.currentTime = 0; } catch (_) { }
+    activeAudioEl = null;
+  }
+}
+
+function stopCurrentAudio() {
+  soundGen++;
+  if (sequenceWake) { sequenceWake(); sequenceWake = null; }
+  if (ringTimer) { clearTimeout(ringTimer); ringTimer = null; }
+  stopClip();
+  if (activeObjectUrl) {
+    try { URL.revokeObjectURL(activeObjectUrl); } catch (_) {}
+    activeObjectUrl = null;
+  }
+  stopSpeech();
+  stopBeep();
+}
+
+function playBeepFallback(pb = playbackOf({}), onDone = null) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return;
+  try {
+    beepCtx = new Ctx();
+  } catch (_) { return; }
+
+  const slots = repeatCountOf(pb, 'beep') * BEEP_SLOTS_PER_PATTERN;
+  let slot = 0;
+  let level = pb.fadeIn > 0 ? 0 : pb.volume;
+
+  function beep() {
+    if (!beepCtx) return;
+    if (slots && slot >= slots) {
+      stopBeep();
+      if (onDone) onDone();
+      return;
+    }
+    const silent = slot++ % BEEP_SLOTS_PER_PATTERN === BEEP_SLOTS_PER_PATTERN - 1;
+    if (silent || level <= 0) return;
+    try {
+      const osc = beepCtx.createOscillator();
+      const gain = beepCtx.createGain();
+      osc.connect(gain);
+      gain.connect(beepCtx.destination);
+      osc.type = 'sine';
+      osc.frequency.setValueAtTime(900, beepCtx.currentTime);
+      gain.gain.setValueAtTime(0.4 * level, beepCtx.currentTime);
+      gain.gain.exponentialRampToValueAtTime(0.001, beepCtx.currentTime + 0.5);
+      osc.start(beepCtx.currentTime);
+      osc.stop(beepCtx.currentTime + 0.5);
+    } catch (_) { }
+  }
+
+  if (pb.fadeIn > 0) startFadeIn(pb, v => { level = v; });
+  beep();
+  beepInterval = setInterval(beep, 800);
+}
+
+function stopBeep() {
+  if (beepInterval) { clearInterval(beepInterval); beepInterval = null; }
+  if (beepCtx) {
+    try { beepCtx.close(); } catch (_) { }
+    beepCtx = null;
+  }
+}
+
+// ─── SPEECH (TTS) ────────────────────────────────────
+// Third sound type next to uploaded audio and the beep: a spoken
+// announcement built from a template. Anything that stops it from speaking
+// (no speechSynthesis, no voice for the language) rejects, and the caller
+// falls back to the beep like a broken audio file would.
+const TTS_DEFAULTS = {
+  template: 'Perhatian. {nama}. Sekarang pukul {jam}.',
+  lang: 'id-ID',
+  voiceURI: '',
+  rate: 1,
+  repeat: 2,
+  chime: true,
+};
+const TTS_REPEAT_GAP_MS = 700;
+let speechRun = null;
+
+function soundTypeOf(alarm) {
+  return alarm.soundType || (alarm.soundId || alarm.audioDataUrl || alarm.audioKey ? 'audio' : 'beep');
+}
+
+function ttsConfigOf(alarm) {
+  return { ...TTS_DEFAULTS, ...(alarm.tts || {}) };
+}
+
+function fillTtsText(template, alarm, date) {
+  const time = (alarmTimeOn(alarm, date) || alarm.time || '').replace(':', '.');
+  return template
+    .replace(/\{nama\}/gi, alarm.name || 'Alarm')
+    .replace(/\{jam\}/gi, time)
+    .replace(/\{hari\}/gi, DAY_NAMES[date.getDay()]);
+}
+
+// getVoices() is empty until the browser has loaded its voice list
+function loadVoices() {
+  const voices = speechSynthesis.getVoices();
+  if (voices.length) return Promise.resolve(voices);
+  return new Promise(resolve => {
+    const done = () => resolve(speechSynthesis.getVoices());
+    speechSynthesis.addEventListener('voiceschanged', done, { once: true });
+    setTimeout(done, 1500);
+  });
+}
+
+// The chosen voice if it is still installed, otherwise any voice for the
+// same language (exact locale first), otherwise none.
+function pickVoice(voices, cfg) {
+  const base = cfg.lang.split('-')[0];
+  return voices.find(v => cfg.voiceURI && v.voiceURI === cfg.voiceURI)
+    || voices.find(v => v.lang.replace('_', '-') === cfg.lang)
+    || voices.find(v => v.lang.split(/[-_]/)[0] === base)
+    || null;
+}
+
+function speakOnce(text, voice, cfg) {
+  return new Promise((resolve, reject) => {
+    const u = new SpeechSynthesisUtterance(text);
+    u.voice = voice;
+    u.lang = voice.lang;
+    u.rate = cfg.rate;
+    u.volume = cfg.volume;
+    u.onend = () => resolve();
+    u.onerror = e => (e.error === 'interrupted' || e.error === 'canceled')
+      ? resolve() : reject(new Error(`TTS gagal: ${e.error}`));
+    speechSynthesis.speak(u);
+  });
+}
+
+// Resolves true when every repetition was spoken, false when stopped early
+async function speakAnnouncement(alarm, date = new Date()) {
+  if (!('speechSynthesis' in window)) throw new Error('browser tidak mendukung TTS');
+  const cfg = { ...ttsConfigOf(alarm), volume: playbackOf(alarm).volume };
+  const voice = pickVoice(await loadVoices(), cfg);
+  if (!voice) throw new Error(`tidak ada suara TTS terpasang untuk ${cfg.lang}`);
+
+  stopSpeech();
+  const run = speechRun = { cancelled: false };
+  if (cfg.chime) await playChime();
+  const text = fillTtsText(cfg.template || TTS_DEFAULTS.template, alarm, date);
+  for (let i = 0; i < cfg.repeat; i++) {
+    if (run.cancelled) return false;
+    if (i > 0) await new Promise(r => setTimeout(r, TTS_REPEAT_GAP_MS));
+    if (run.cancelled) return false;
+    await speakOnce(text, voice, cfg);
+  }
+  return !run.cancelled;
+}
+
+function stopSpeech() {
+  if (speechRun) { speechRun.cancelled = true; speechRun = null; }
+  if ('speechSynthesis' in window) speechSynthesis.cancel();
+}
+
+// Two-tone "ding-dong" before the announcement
+function playChime() {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return Promise.resolve();
+  let ctx;
+  try { ctx = new Ctx(); } catch (_) { return Promise.resolve(); }
+  [[659, 0], [523, 0.6]].forEach(([freq, at]) => {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.connect(gain);
+    gain.connect(ctx.destination);
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(freq, ctx.currentTime + at);
+    gain.gain.setValueAtTime(0.35, ctx.currentTime + at);
+    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + at + 1.1);
+    osc.start(ctx.currentTime + at);
+    osc.stop(ctx.currentTime + at + 1.1);
+  });
+  return new Promise(resolve => setTimeout(() => {
+    try { ctx.close(); } catch (_) { }
+    resolve();
+  }, 1800));
+}
+
+// ─── TTS FIELDS ──────────────────────────────────────
+function fillVoiceOptions(selectedURI) {
+  if (!('speechSynthesis' in window)) {
+    ttsVoiceEl.innerHTML = '<option value="">Tidak didukung</option>';
+    ttsVoiceHintEl.textContent = '⚠️ Browser ini tidak mendukung TTS — alarm akan memakai beep';
+    return;
+  }
+  const base = ttsLangEl.value.split('-')[0];
+  const voices = speechSynthesis.getVoices().filter(v => v.lang.split(/[-_]/)[0] === base);
+  ttsVoiceEl.innerHTML = '<option value="">Otomatis</option>' +
+    voices.map(v => `<option value="${escHtml(v.voiceURI)}">${escHtml(v.name)} (${escHtml(v.lang)})</option>`).join('');
+  ttsVoiceEl.value = voices.some(v => v.voiceURI === selectedURI) ? selectedURI : '';
+  ttsVoiceHintEl.textContent = voices.length ? ''
+    : '⚠️ Belum ada suara terpasang untuk bahasa ini — alarm akan memakai beep';
+}
+
+function writeTtsFields(tts) {
+  const cfg = { ...TTS_DEFAULTS, ...(tts || {}) };
+  ttsTemplateEl.value = cfg.template;
+  ttsLangEl.value = cfg.lang;
+  ttsRateEl.value = String(cfg.rate);
+  ttsRepeatEl.value = String(cfg.repeat);
+  ttsChimeEl.checked = cfg.chime;
+  fillVoiceOptions(cfg.voiceURI);
+}
+
+function readTtsFields() {
+  return {
+    template: ttsTemplateEl.value.trim() || TTS_DEFAULTS.template,
+    lang: ttsLangEl.value,
+    voiceURI: ttsVoiceEl.value,
+    rate: parseFloat(ttsRateEl.value) || 1,
+    repeat: parseInt(ttsRepeatEl.value) || 1,
+    chime: ttsChimeEl.checked,
+  };
+}
+
+function updateSoundFields() {
+  const type = alarmSoundTypeEl.value;
+  audioGroupEl.classList.toggle('hidden', type !== 'audio');
+  ttsGroupEl.classList.toggle('hidden', type !== 'tts');
+  sequenceGroupEl.classList.toggle('hidden', type !== 'sequence');
+  // TTS has its own repeat count and no fade
+  pbRepeatEl.classList.toggle('hidden', type === 'tts');
+  pbFadeInEl.classList.toggle('hidden', type === 'tts');
+}
+
+alarmSoundTypeEl.addEventListener('change', updateSoundFields);
+ttsLangEl.addEventListener('change', () => fillVoiceOptions(''));
+if ('speechSynthesis' in window) {
+  speechSynthesis.addEventListener('voiceschanged', () => fillVoiceOptions(ttsVoiceEl.value));
+}
+
+// ─── SOUND LIBRARY ───────────────────────────────────
+// Uploaded audio lives once in the IndexedDB 'sounds' store; alarms and
+// clip steps point at it with `soundId`. Identical files (same SHA-256) are
+// stored once. `soundLibrary` mirrors the store without the blobs so cards
+// and lists can show names and durations synchronously.
+let soundLibrary = [];
+
+async function refreshSoundLibrary() {
+  soundLibrary = (await getAllSoundsFromDB())
+    .map(({ blob, ...meta }) => meta)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function soundMeta(id) {
+  return (id && soundLibrary.find(s => s.id === id)) || null;
+}
+
+async function hashBlob(blob) {
+  const buf = await blob.arrayBuffer();
+  if (window.crypto && crypto.subtle) {
+    const digest = await crypto.subtle.digest('SHA-256', buf);
+    return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+  // No SubtleCrypto outside secure contexts (plain http on the LAN): FNV-1a + size
+  const bytes = new Uint8Array(buf);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) { h ^= bytes[i]; h = Math.imul(h, 0x01000193); }
+  return `fnv-${(h >>> 0).toString(16)}-${bytes.length}`;
+}
+
+// Returns { sound, duplicate } — an identical file already in the library
+// is reused instead of stored again
+async function addSound(blob, name) {
+  const hash = await hashBlob(blob);
+  const existing = await findSoundByHash(hash);
+  if (existing) return { sound: existing, duplicate: true };
+  const sound = {
+    id: uid(),
+    name: name || blob.name || 'Audio',
+    type: blob.type,
+    size: blob.size,
+    duration: await measureDuration(blob),
+    hash,
+    addedAt: Date.now(),
+    blob,
+  };
+  await putSoundToDB(sound);
+  await refreshSoundLibrary();
+  return { sound, duplicate: false };
+}
+
+// New file under the same id, so every alarm using it picks it up
+async function replaceSound(id, blob) {
+  const sound = await getSoundFromDB(id);
+  if (!sound) throw new Error('suara tidak ditemukan');
+  Object.assign(sound, {
+    // Tells synced devices which copy is newer
+    updatedAt: Date.now(),
+    type: blob.type,
+    size: blob.size,
+    duration: await measureDuration(blob),
+    hash: await hashBlob(blob),
+    blob,
+  });
+  await putSoundToDB(sound);
+  await refreshSoundLibrary();
+}
+
+function soundIdsOf(alarm) {
+  const ids = alarm.soundId ? [alarm.soundId] : [];
+  (alarm.steps || []).forEach(s => { if (s.kind === 'clip' && s.soundId) ids.push(s.soundId); });
+  return ids;
+}
+
+function soundUsage(id) {
+  return alarms.filter(a => soundIdsOf(a).includes(id));
+}
+
+// The blob behind an alarm or clip step. Falls back to the pre-library
+// per-alarm store for data that hasn't been migrated yet.
+async function blobForRef(ref) {
+  if (ref.soundId) {
+    const sound = await getSoundFromDB(ref.soundId);
+    return sound ? sound.blob : null;
+  }
+  if (ref.audioKey) return getAudioFromDB(ref.audioKey);
+  return null;
+}
+
+// One-time move of v1 per-alarm blobs (audioKey / audioDataUrl) into the
+// library. Alarms sharing the same file end up sharing one sound.
+async function migrateAudioToLibrary() {
+  const oldKeys = new Set();
+  let changed = false;
+  const adopt = async (ref, name) => {
+    let blob = null;
+    if (ref.audioKey) {
+      oldKeys.add(ref.audioKey);
+      blob = await getAudioFromDB(ref.audioKey);
+    } else if (ref.audioDataUrl) {
+      blob = await (await fetch(ref.audioDataUrl)).blob();
+    }
+    if (blob) ref.soundId = (await addSound(blob, name)).sound.id;
+    delete ref.audioKey;
+    delete ref.audioDataUrl;
+    changed = true;
+  };
+  for (const alarm of alarms) {
+    if (alarm.audioKey || alarm.audioDataUrl) await adopt(alarm, alarm.audioName);
+    if ('audioName' in alarm) { delete alarm.audioName; changed = true; }
+    for (const step of alarm.steps || []) {
+      if (step.kind !== 'clip' || !step.audioKey) continue;
+      await adopt(step, step.name);
+      delete step.name;
+      delete step.duration;
+    }
+  }
+  if (!changed) return;
+  saveAlarms();
+  for (const key of oldKeys) { try { await deleteAudioFromDB(key); } catch (_) { } }
+}
+
+function formatBytes(n) {
+  if (n < 1024 * 1024) return `${Math.max(1, Math.round(n / 1024))} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// ─── SOUND LIBRARY VIEW ──────────────────────────────
+let libraryPreviewEl = null;
+let libraryPreviewId = null;
+let libraryReplaceId = null;
+
+async function openLibraryModal() {
+  await refreshSoundLibrary();
+  renderLibrary();
+  libraryOverlay.classList.remove('hidden');
+}
+
+function closeLibraryModal() {
+  stopLibraryPreview();
+  libraryOverlay.classList.add('hidden');
+}
+
+function renderLibrary() {
+  soundListEl.innerHTML = soundLibrary.length === 0
+    ? '<div class="ex-empty">Pustaka masih kosong — tambahkan suara atau unggah audio di alarm</div>'
+    : soundLibrary.map(s => {
+      const used = soundUsage(s.id).length;
+      const trashed = !used && trashSoundUsage(s.id).length;
+      return `
+        <div class="sound-item">
+          <input class="form-input sound-name" data-id="${s.id}" value="${escHtml(s.name)}" title="Ubah nama" />
+          <span class="sound-meta">${s.duration ? formatDuration(s.duration) : '-'} · ${formatBytes(s.size || 0)}
+            · ${used ? `dipakai ${used} alarm` : trashed ? 'dipakai alarm di sampah' : 'tidak dipakai'}</span>
+          <div class="step-actions">
+            <button class="btn-icon-action" type="button" data-act="preview" data-id="${s.id}" title="Dengarkan">${libraryPreviewId === s.id ? '■' : '▶'}</button>
+            <button class="btn-icon-action edit" type="button" data-act="replace" data-id="${s.id}" title="Ganti file">⟳</button>
+            <button class="btn-icon-action delete" type="button" data-act="delete" data-id="${s.id}"
+              title="${used || trashed ? 'Masih dipakai alarm' : 'Hapus'}" ${used || trashed ? 'disabled' : ''}>🗑</button>
+          </div>
+        </div>`;
+    }).join('');
+
+  const total = soundLibrary.reduce((sum, s) => sum + (s.size || 0), 0);
+  libraryUsageEl.textContent = `${soundLibrary.length} suara · ${formatBytes(total)}`;
+  if (navigator.storage && navigator.storage.estimate) {
+    navigator.storage.estimate().then(({ usage, quota }) => {
+      if (usage && quota) libraryUsageEl.textContent += ` · penyimpanan browser ${formatBytes(usage)} dari ${formatBytes(quota)}`;
+    }).catch(() => { });
+  }
+}
+
+async function toggleLibraryPreview(id) {
+  const wasPlaying = libraryPreviewId === id;
+  stopLibraryPreview();
+  if (!wasPlaying) {
+    const sound = await getSoundFromDB(id);
+    if (!sound) return;
+    libraryPreviewId = id;
+    libraryPreviewEl = new Audio(URL.createObjectURL(sound.blob));
+    libraryPreviewEl.addEventListener('ended', () => { stopLibraryPreview(); renderLibrary(); }, { once: true });
+    libraryPreviewEl.play().catch(() => { showToast('❌ Audio tidak bisa diputar'); stopLibraryPreview(); renderLibrary(); });
+  }
+  renderLibrary();
+}
+
+function stopLibraryPreview() {
+  if (libraryPreviewEl) {
+    libraryPreviewEl.pause();
+    URL.revokeObjectURL(libraryPreviewEl.src);
+    libraryPreviewEl = null;
+  }
+  libraryPreviewId = null;
+}
+
+async function deleteLibrarySound(id) {
+  const sound = soundMeta(id);
+  const used = soundUsage(id);
+  if (!sound) return;
+  if (used.length) {
+    showToast(`⚠️ "${sound.name}" masih dipakai ${used.length} alarm`);
+    return;
+  }
+  if (trashSoundUsage(id).length) {
+    showToast(`⚠️ "${sound.name}" masih dipakai alarm di sampah — kosongkan sampah dulu`);
+    return;
+  }
+  if (!confirm(`Hapus suara "${sound.name}" dari pustaka?`)) return;
+  if (libraryPreviewId === id) stopLibraryPreview();
+  await deleteSoundFromDB(id);
+  await refreshSoundLibrary();
+  renderLibrary();
+  showToast('🗑️ Suara dihapus');
+}
+
+soundListEl.addEventListener('click', e => {
+  const btn = e.target.closest('button[data-act]');
+  if (!btn) return;
+  const id = btn.dataset.id;
+  if (btn.dataset.act === 'preview') toggleLibraryPreview(id);
+  if (btn.dataset.act === 'replace') { libraryReplaceId = id; libraryReplaceFileEl.click(); }
+  if (btn.dataset.act === 'delete') deleteLibrarySound(id).catch(() => showToast('❌ Gagal menghapus suara'));
+});
+
+soundListEl.addEventListener('change', async e => {
+  const input = e.target.closest('input.sound-name');
+  if (!input) return;
+  const sound = await getSoundFromDB(input.dataset.id);
+  const name = input.value.trim();
+  if (!sound || !name) { renderLibrary(); return; }
+  sound.name = name;
+  await putSoundToDB(sound);
+  await refreshSoundLibrary();
+  renderLibrary();
+  renderAlarms();
+});
+
+function checkAudioFile(file) {
+  if (!file.type.startsWith('audio/')) { showToast('❌ File harus berupa audio (MP3, WAV, OGG, M4A)'); return false; }
+  if (file.size > MAX_FILE_BYTES) { showToast('❌ Ukuran file max 20MB'); return false; }
+  return true;
+}
+
+libraryFileEl.addEventListener('change', async e => {
+  const file = e.target.files[0];
+  libraryFileEl.value = '';
+  if (!file || !checkAudioFile(file)) return;
+  try {
+    const { sound, duplicate } = await addSound(file, file.name);
+    showToast(duplicate ? `♻️ File yang sama sudah ada: "${sound.name}"` : `✅ Ditambahkan: ${sound.name}`);
+    renderLibrary();
+  } catch (_) { showToast('❌ Gagal menyimpan audio'); }
+});
+
+libraryReplaceFileEl.addEventListener('change', async e => {
+  const file = e.target.files[0];
+  libraryReplaceFileEl.value = '';
+  if (!file || !libraryReplaceId || !checkAudioFile(file)) return;
+  try {
+    if (libraryPreviewId === libraryReplaceId) stopLibraryPreview();
+    await replaceSound(libraryReplaceId, file);
+    renderLibrary();
+    renderAlarms();
+    showToast('✅ File suara diganti');
+  } catch (_) { showToast('❌ Gagal mengganti audio'); }
+  libraryReplaceId = null;
+});
+
+btnLibrary.addEventListener('click', () => requireAdmin(openLibraryModal));
+btnLibraryAdd.addEventListener('click', () => libraryFileEl.click());
+btnLibraryClose.addEventListener('click', closeLibraryModal);
+btnLibraryDone.addEventListener('click', closeLibraryModal);
+libraryOverlay.addEventListener('click', e => { if (e.target === libraryOverlay) closeLibraryModal(); });
+
+// Library <select> used by the alarm modal and the sequence step picker.
+// A selected sound that is gone from this library (deleted, or not synced
+// down yet) keeps its own option, so saving the form doesn't drop the id.
+function librarySoundOptions(selectedId, placeholder) {
+  const missing = selectedId && !soundLibrary.some(s => s.id === selectedId)
+    ? `<option value="${escHtml(selectedId)}" selected>⚠️ Tidak ada di pustaka — sementara bunyi beep</option>`
+    : '';
+  return `<option value="">${escHtml(placeholder)}</option>` + missing + soundLibrary.map(s =>
+    `<option value="${s.id}" ${s.id === selectedId ? 'selected' : ''}>${escHtml(s.name)}${s.duration ? ` (${formatDuration(s.duration)})` : ''}</option>`).join('');
+}
+
+// ─── SOUND STEPS ─────────────────────────────────────
+// Edited in place while the modal is open. Clip steps point at a library
+// sound; a freshly picked file rides along as `file` (with its name and
+// measured duration) until save adds it to the library.
+let pendingSteps = [];
+
+function renderSteps() {
+  stepListEl.innerHTML = pendingSteps.length === 0
+    ? '<div class="ex-empty">Belum ada langkah — tambahkan klip, beep atau jeda</div>'
+    : pendingSteps.map((step, i) => {
+      let body;
+      if (step.kind === 'beep') {
+        body = `📢 Beep <input class="form-input" type="number" min="1" max="60" data-field="count" data-idx="${i}" value="${step.count}" /> kali`;
+      } else if (step.kind === 'pause') {
+        body = `⏸ Jeda <input class="form-input" type="number" min="1" max="300" data-field="seconds" data-idx="${i}" value="${step.seconds}" /> detik`;
+      } else {
+        const d = stepDuration(step);
+        body = `<span class="step-name">🎵 ${escHtml(stepLabel(step))}</span>${d === null ? '' : ` · ${formatDuration(d)}`}`;
+      }
+      return `
+        <div class="step-item">
+          <span class="step-index">${i + 1}</span>
+          <div class="step-body">${body}</div>
+          <div class="step-actions">
+            <button class="btn-icon-action" type="button" data-act="up" data-idx="${i}" title="Naik" ${i === 0 ? 'disabled' : ''}>↑</button>
+            <button class="btn-icon-action" type="button" data-act="down" data-idx="${i}" title="Turun" ${i === pendingSteps.length - 1 ? 'disabled' : ''}>↓</button>
+            <button class="btn-icon-action delete" type="button" data-act="remove" data-idx="${i}" title="Hapus">✕</button>
+          </div>
+        </div>`;
+    }).join('');
+  sequenceTotalEl.textContent = pendingSteps.length
+    ? `Total durasi: ${describeSequenceDuration(pendingSteps)}` : '';
+  stepLibraryEl.innerHTML = librarySoundOptions('', '🎵 + Dari pustaka…');
+  stepLibraryEl.classList.toggle('hidden', soundLibrary.length === 0);
+}
+
+// Clip length from the file's metadata; null if the browser can't tell
+function measureDuration(blob) {
+  return new Promise(resolve => {
+    const url = URL.createObjectURL(blob);
+    const probe = new Audio();
+    const done = value => { URL.revokeObjectURL(url); resolve(value); };
+    probe.preload = 'metadata';
+    probe.addEventListener('loadedmetadata', () => done(isFinite(probe.duration) ? Math.round(probe.duration * 10) / 10 : null), { once: true });
+    probe.addEventListener('error', () => done(null), { once: true });
+    setTimeout(() => done(null), 5000);
+    probe.src = url;
+  });
+}
+
+stepListEl.addEventListener('click', e => {
+  const btn = e.target.closest('button[data-act]');
+  if (!btn) return;
+  const i = parseInt(btn.dataset.idx);
+  const j = btn.dataset.act === 'up' ? i - 1 : i + 1;
+  if (btn.dataset.act === 'remove') pendingSteps.splice(i, 1);
+  else if (j >= 0 && j < pendingSteps.length) [pendingSteps[i], pendingSteps[j]] = [pendingSteps[j], pendingSteps[i]];
+  renderSteps();
+});
+
+stepListEl.addEventListener('change', e => {
+  const input = e.target.closest('input[data-field]');
+  if (!input) return;
+  const step = pendingSteps[parseInt(input.dataset.idx)];
+  const max = parseInt(input.max);
+  step[input.dataset.field] = Math.min(max, Math.max(1, parseInt(input.value) || 1));
+  renderSteps();
+});
+
+document.getElementById('btnStepClip').addEventListener('click', () => stepFileEl.click());
+document.getElementById('btnStepBeep').addEventListener('click', () => {
+  pendingSteps.push({ id: uid(), kind: 'beep', count: 4 });
+  renderSteps();
+});
+document.getElementById('btnStepPause').addEventListener('click', () => {
+  pendingSteps.push({ id: uid(), kind: 'pause', seconds: 2 });
+  renderSteps();
+});
+
+stepLibraryEl.addEventListener('change', () => {
+  if (!stepLibraryEl.value) return;
+  pendingSteps.push({ id: uid(), kind: 'clip', soundId: stepLibraryEl.value });
+  renderSteps();
+});
+
+stepFileEl.addEventListener('change', async e => {
+  const file = e.target.files[0];
+  stepFileEl.value = '';
+  if (!file || !checkAudioFile(file)) return;
+  const step = { id: uid(), kind: 'clip', soundId: null, name: file.name, duration: null, file };
+  pendingSteps.push(step);
+  renderSteps();
+  step.duration = await measureDuration(file);
+  renderSteps();
+});
+
+// Adds newly picked clip files to the library. Returns the steps as stored
+// on the alarm: clip steps keep only their soundId.
+async function commitSteps() {
+  const steps = [];
+  for (const step of pendingSteps) {
+    const { file, name, duration, ...stored } = step;
+    if (file) stored.soundId = (await addSound(file, name)).sound.id;
+    steps.push(stored);
+  }
+  return steps;
+}
+
+// ─── PLAYBACK FIELDS ─────────────────────────────────
+function writePlaybackFields(playback) {
+  const pb = { ...PLAYBACK_DEFAULTS, ...(playback || {}) };
+  pbRepeatEl.value = pb.repeat === null || pb.repeat === undefined ? '' : String(pb.repeat);
+  pbMaxSecondsEl.value = String(pb.maxSeconds);
+  pbFadeInEl.value = String(pb.fadeIn);
+  pbVolumeEl.value = String(pb.volume);
+  pbTrimStartEl.value = pb.trimStart ? String(pb.trimStart) : '';
+  pbTrimEndEl.value = pb.trimEnd ? String(pb.trimEnd) : '';
+}
+
+function readPlaybackFields() {
+  return {
+    repeat: pbRepeatEl.value === '' ? null : parseInt(pbRepeatEl.value),
+    maxSeconds: parseInt(pbMaxSecondsEl.value) || 0,
+    fadeIn: parseInt(pbFadeInEl.value) || 0,
+    volume: parseFloat(pbVolumeEl.value) || 1,
+    trimStart: Math.max(0, parseFloat(pbTrimStartEl.value) || 0),
+    trimEnd: Math.max(0, parseFloat(pbTrimEndEl.value) || 0),
+  };
+}
+
+// ─── SOUND TEST ──────────────────────────────────────
+// Plays the modal's current (unsaved) sound setup through the same path as
+// a real ring, including the beep fallback and max duration.
+let soundTestActive = false;
+
+async function startSoundTest() {
+  if (currentRinging) { showToast('⚠️ Matikan alarm yang berbunyi dulu'); return; }
+  const draft = {
+    name: alarmNameEl.value.trim() || 'Alarm',
+    time: alarmTimeEl.value || timeFromMs(Date.now()),
+    soundType: alarmSoundTypeEl.value,
+    tts: readTtsFields(),
+    playback: readPlaybackFields(),
+    steps: pendingSteps,
+    audioBlob: pendingAudioFile || null,
+    soundId: alarmLibrarySoundEl.value || null,
+  };
+  stopCurrentAudio();
+  soundTestActive = true;
+  btnSoundTest.textContent = '■ Stop';
+  startSound(draft, stopSoundTest, reason => {
+    showToast(`⚠️ ${reason} — alarm akan memakai beep`);
+    stopClip();
+    playBeepFallback(draft.playback, stopSoundTest);
+  }, reason => showToast(`⚠️ ${reason} — diganti beep`));
+}
+
+function stopSoundTest() {
+  if (!soundTestActive) return;
+  soundTestActive = false;
+  btnSoundTest.textContent = '▶ Tes suara';
+  if (!currentRinging) stopCurrentAudio();
+}
+
+btnSoundTest.addEventListener('click', () => {
+  if (soundTestActive) stopSoundTest();
+  else startSoundTest();
+});
+
+// ─── RENDER ──────────────────────────────────────────
+function renderAlarms() {
+  renderProfileBar();
+  if (alarmListRegularEl) alarmListRegularEl.querySelectorAll('.alarm-card').forEach(c => c.remove());
+  if (alarmListPuasaEl) alarmListPuasaEl.querySelectorAll('.alarm-card').forEach(c => c.remove());
+  const shown = alarms.filter(a => a.profileId === viewProfileId);
+  const regs = shown.filter(a => (a.category || 'regular') !== 'puasa');
+  const puas = shown.filter(a => (a.category || 'regular') === 'puasa');
+  if (emptyStateRegularEl) emptyStateRegularEl.style.display = regs.length === 0 ? '' : 'none';
+  if (emptyStatePuasaEl) emptyStatePuasaEl.style.display = puas.length === 0 ? '' : 'none';
+  regs.forEach(alarm => alarmListRegularEl && alarmListRegularEl.appendChild(buildCard(alarm)));
+  puas.forEach(alarm => alarmListPuasaEl && alarmListPuasaEl.appendChild(buildCard(alarm)));
+  renderBulkBar();
+  renderKiosk();
+  renderTimeline();
+  nextAlarm = undefined;
+}
+
+function soundBadgeOf(alarm) {
+  const type = soundTypeOf(alarm);
+  if (type === 'sequence') {
+    const steps = alarm.steps || [];
+    return `🎼 ${steps.length} langkah · ${describeSequenceDuration(steps)}`;
+  }
+  if (type === 'tts') return '🗣️ Pengumuman suara';
+  if (type === 'audio' && alarm.soundId) {
+    const meta = soundMeta(alarm.soundId);
+    return `🎵 ${escHtml(meta ? meta.name : 'Audio custom')}`;
+  }
+  return '';
+}
+
+function buildCard(alarm) {
+  const card = document.createElement('div');
+  card.className = 'alarm-card' + (alarm.enabled ? '' : ' is-disabled') + (bulkSelected.has(alarm.id) ? ' is-selected' : '');
+  card.dataset.id = alarm.id;
+
+  const hasDays = Array.isArray(alarm.days) && alarm.days.length > 0;
+  const dayPills = hasDays
+    ? alarm.days.map(d => `<span class="day-pill">${DAY_SHORT[d]}</span>`).join('')
+    : '';
+
+  const soundText = soundBadgeOf(alarm);
+  const audioBadge = soundText ? `<div class="alarm-audio-badge">${soundText}</div>` : '';
+  const onceBadge = !hasDays
+    ? `<div class="alarm-once-badge">⚡ Sekali saja</div>` : '';
+  const triggerBadge = alarm.trigger
+    ? `<div class="alarm-trigger-badge">🕌 ${escHtml(AlarmSchedule.describeTrigger(alarm.trigger))}</div>`
+    : '';
+  const season = AlarmSchedule.effectiveSeason(alarm, settings);
+  const inSeason = AlarmSchedule.isInSeason(alarm, new Date(), settings);
+  const seasonBadge = season && season.preset !== 'always'
+    ? `<div class="alarm-season-badge${inSeason ? '' : ' is-off-season'}">🌙 ${escHtml(AlarmSchedule.describeSeason(season))}
+         · ${inSeason ? 'sedang musim' : 'di luar musim'}</div>`
+    : '';
+  const todayEx = AlarmSchedule.exceptionFor(alarm, new Date(), settings);
+  const exceptionBadge = todayEx
+    ? `<div class="alarm-exception-badge">🏖️ Hari ini: ${escHtml(todayEx.label || 'Pengecualian')}
+         — ${escHtml(AlarmSchedule.describeException(todayEx))}</div>`
+    : '';
+  const snoozeBadge = alarm.snoozeUntil
+    ? `<div class="alarm-snooze-badge">💤 Ditunda sampai ${timeFromMs(alarm.snoozeUntil)}
+         <button class="badge-action snooze-cancel" type="button">Batalkan</button></div>`
+    : '';
+  const bellSet = alarm.bellSetId && bellSetById(alarm.bellSetId);
+  const setBadge = bellSet && isInBellSet(alarm, bellSet)
+    ? `<div class="alarm-set-badge">🔔 Set: ${escHtml(bellSet.name)}</div>`
+    : '';
+  const reminderBadge = remindersOf(alarm).length
+    ? `<div class="alarm-reminder-badge">⏳ Pengingat ${remindersOf(alarm).join(', ')} menit sebelumnya</div>`
+    : '';
+  const skipBadge = alarm.skipAt && alarm.skipAt > Date.now()
+    ? `<div class="alarm-snooze-badge">⏭ Dilewati sekali: ${DAY_SHORT[new Date(alarm.skipAt).getDay()]} ${timeFromMs(alarm.skipAt)}
+         <button class="badge-action skip-cancel" type="button">Batalkan</button></div>`
+    : '';
+
+  card.innerHTML = `${bulkMode
+    ? `<label class="alarm-select" title="Pilih"><input type="checkbox" ${bulkSelected.has(alarm.id) ? 'checked' : ''} /></label>`
+    : ''}
+    <div class="alarm-info">
+      <div class="alarm-time-display">${escHtml(alarmTimeOn(alarm, new Date()) || '--:--')}</div>
+      <div class="alarm-name">${escHtml(alarm.name || 'Alarm')}</div>
+      ${hasDays ? `<div class="alarm-days">${dayPills}</div>` : ''}
+      ${triggerBadge}${seasonBadge}${exceptionBadge}${audioBadge}${reminderBadge}${setBadge}${onceBadge}${snoozeBadge}${skipBadge}
+    </div>
+    <div class="alarm-controls">
+      <button class="btn-icon-action edit" title="Edit" id="editBtn_${alarm.id}">✏️</button>
+      <button class="btn-icon-action delete" title="Hapus" id="delBtn_${alarm.id}">🗑️</button>
+      <label class="toggle-switch" title="${alarm.enabled ? 'Aktif' : 'Nonaktif'}">
+        <input type="checkbox" class="alarm-toggle" ${alarm.enabled ? 'checked' : ''} />
+        <span class="toggle-slider"></span>
+      </label>
+    </div>
+  `;
+
+  const selectEl = card.querySelector('.alarm-select input');
+  if (selectEl) selectEl.addEventListener('change', () => {
+    if (selectEl.checked) bulkSelected.add(alarm.id);
+    else bulkSelected.delete(alarm.id);
+    card.classList.toggle('is-selected', selectEl.checked);
+    renderBulkBar();
+  });
+  const toggleEl = card.querySelector('.alarm-toggle');
+  toggleEl.addEventListener('click', e => {
+    if (isAdminUnlocked()) return;
+    // Locked: the switch stays put until the PIN is entered
+    e.preventDefault();
+    requireAdmin(() => {
+      toggleEl.checked = !alarm.enabled;
+      toggleEl.dispatchEvent(new Event('change'));
+    });
+  });
+  toggleEl.addEventListener('change', e => {
+    alarm.enabled = e.target.checked;
+    card.classList.toggle('is-disabled', !alarm.enabled);
+    logEvent('edited', alarm, { detail: alarm.enabled ? 'diaktifkan' : 'dinonaktifkan' });
+    // Switching an alarm off also drops a pending snooze
+    if (!alarm.enabled && alarm.snoozeUntil) {
+      alarm.snoozeUntil = null;
+      alarm.snoozeCount = 0;
+      saveAlarms();
+      renderAlarms();
+      return;
+    }
+    saveAlarms();
+  });
+  const snoozeCancelBtn = card.querySelector('.snooze-cancel');
+  if (snoozeCancelBtn) snoozeCancelBtn.addEventListener('click', () => cancelSnooze(alarm.id));
+  const skipCancelBtn = card.querySelector('.skip-cancel');
+  if (skipCancelBtn) skipCancelBtn.addEventListener('click', () => cancelSkip(alarm.id));
+  card.querySelector(`#editBtn_${alarm.id}`).addEventListener('click', () => requireAdmin(() => openEditModal(alarm.id)));
+  card.querySelector(`#delBtn_${alarm.id}`).addEventListener('click', () => requireAdmin(() => {
+    const ids = trashAlarms([alarm]);
+    saveAlarms();
+    renderAlarms();
+    showUndoToast(`🗑️ "${alarm.name || 'Alarm'}" dipindah ke sampah`, ids);
+  }));
+
+  return card;
+}
+
+// ─── BULK ACTIONS ────────────────────────────────────
+// "Pilih banyak" puts a checkbox on every card; the bar at the bottom then
+// applies one change to all selected alarms with a single save, and so a
+// single SYNC_ALARMS to the SW.
+let bulkMode = false;
+const bulkSelected = new Set();
+
+function setBulkMode(on) {
+  bulkMode = on;
+  bulkSelected.clear();
+  bulkDaysEl.classList.add('hidden');
+  renderAlarms();
+}
+
+function selectedAlarms() {
+  return alarms.filter(a => bulkSelected.has(a.id));
+}
+
+function renderBulkBar() {
+  bulkBarEl.classList.toggle('hidden', !bulkMode);
+  if (!bulkMode) return;
+  // Selection only covers the profile on screen
+  const shown = new Set(alarms.filter(a => a.profileId === viewProfileId).map(a => a.id));
+  [...bulkSelected].forEach(id => { if (!shown.has(id)) bulkSelected.delete(id); });
+  bulkCountEl.textContent = `${bulkSelected.size} dipilih`;
+  bulkBarEl.querySelectorAll('[data-needs-selection]').forEach(b => { b.disabled = bulkSelected.size === 0; });
+}
+
+function selectAllIn(category) {
+  alarms.filter(a => a.profileId === viewProfileId && (a.category || 'regular') === category)
+    .forEach(a => bulkSelected.add(a.id));
+  renderAlarms();
+}
+
+// Prayer-linked alarms move their offset, fixed ones their clock time
+// A fixed time moved past 23:59 or before 00:00 would land on the wrong
+// day's schedule, so such a shift is refused instead of wrapped around.
+// Prayer-linked alarms only change their offset and never cross.
+function shiftCrossesMidnight(alarm, minutes) {
+  if (alarm.trigger || !alarm.time) return false;
+  const [h, m] = alarm.time.split(':').map(Number);
+  const total = h * 60 + m + minutes;
+  return total < 0 || total >= 24 * 60;
+}
+
+function warnMidnightShift(list, minutes) {
+  const crossing = list.filter(a => shiftCrossesMidnight(a, minutes));
+  if (!crossing.length) return false;
+  const names = crossing.slice(0, 3).map(a => `${a.name || 'Alarm'} (${a.time})`).join(', ');
+  const more = crossing.length > 3 ? ` dan ${crossing.length - 3} lainnya` : '';
+  showToast(`⚠️ Tidak digeser: ${names}${more} akan melewati tengah malam`);
+  return true;
+}
+
+// Callers check shiftCrossesMidnight first
+function shiftAlarmTime(alarm, minutes) {
+  if (alarm.trigger) {
+    alarm.trigger = { ...alarm.trigger, offset: (Number(alarm.trigger.offset) || 0) + minutes };
+    return;
+  }
+  if (!alarm.time) return;
+  const [h, m] = alarm.time.split(':').map(Number);
+  alarm.time = AlarmSchedule.minutesToHHMM(h * 60 + m + minutes);
+}
+
+function applyBulk(change, label) {
+  const list = selectedAlarms();
+  if (!list.length) return;
+  requireAdmin(() => {
+    list.forEach(alarm => {
+      rememberRevision(alarm, `massal: ${label}`);
+      change(alarm);
+      logEvent('edited', alarm, { detail: `massal: ${label}` });
+    });
+    saveAlarms();
+    renderAlarms();
+    toastWithCheck(`✅ ${list.length} alarm ${label}`, list.map(a => a.id));
+  });
+}
+
+function bulkDuplicate() {
+  const list = selectedAlarms();
+  if (!list.length) return;
+  requireAdmin(() => {
+    const copies = list.map(alarm => ({
+      ...JSON.parse(JSON.stringify(alarm)),
+      id: uid(),
+      name: `${alarm.name || 'Alarm'} (salinan)`,
+      snoozeUntil: null,
+      snoozeCount: 0,
+      skipAt: null,
+      // A copy is no longer regenerated with its bell set
+      bellSetId: null,
+    }));
+    alarms.push(...copies);
+    copies.forEach(c => logEvent('created', c, { detail: 'salinan massal' }));
+    // Select the copies, ready to be shifted or moved
+    bulkSelected.clear();
+    copies.forEach(c => bulkSelected.add(c.id));
+    saveAlarms();
+    renderAlarms();
+    showToast(`📄 ${copies.length} alarm diduplikat — salinannya kini terpilih`);
+  });
+}
+
+function bulkDelete() {
+  const list = selectedAlarms();
+  if (!list.length) return;
+  requireAdmin(() => {
+    const ids = trashAlarms(list, 'hapus massal');
+    bulkSelected.clear();
+    saveAlarms();
+    renderAlarms();
+    showUndoToast(`🗑️ ${ids.length} alarm dipindah ke sampah`, ids);
+  });
+}
+
+btnBulk.addEventListener('click', () => requireAdmin(() => setBulkMode(!bulkMode)));
+btnBulkDone.addEventListener('click', () => setBulkMode(false));
+btnBulkAllRegular.addEventListener('click', () => selectAllIn('regular'));
+btnBulkAllPuasa.addEventListener('click', () => selectAllIn('puasa'));
+btnBulkNone.addEventListener('click', () => { bulkSelected.clear(); renderAlarms(); });
+btnBulkEnable.addEventListener('click', () => applyBulk(a => { a.enabled = true; }, 'diaktifkan'));
+btnBulkDisable.addEventListener('click', () => applyBulk(a => {
+  a.enabled = false;
+  a.snoozeUntil = null;
+  a.snoozeCount = 0;
+}, 'dinonaktifkan'));
+btnBulkMove.addEventListener('click', () => applyBulk(a => {
+  a.category = (a.category || 'regular') === 'puasa' ? 'regular' : 'puasa';
+}, 'dipindah kategori'));
+btnBulkShift.addEventListener('click', () => {
+  const minutes = parseInt(bulkShiftEl.value) || 0;
+  if (!minutes) { showToast('⚠️ Isi jumlah menit, mis. 10 atau -5'); return; }
+  if (warnMidnightShift(selectedAlarms(), minutes)) return;
+  applyBulk(a => shiftAlarmTime(a, minutes), `digeser ${minutes > 0 ? '+' : '−'}${Math.abs(minutes)} menit`);
+});
+btnBulkDays.addEventListener('click', () => {
+  bulkDayBtns.forEach(b => b.classList.remove('selected'));
+  bulkDaysEl.classList.toggle('hidden');
+});
+bulkDayBtns.forEach(btn => btn.addEventListener('click', () => btn.classList.toggle('selected')));
+btnBulkDaysApply.addEventListener('click', () => {
+  const days = [...bulkDayBtns].filter(b => b.classList.contains('selected')).map(b => parseInt(b.dataset.day));
+  bulkDaysEl.classList.add('hidden');
+  applyBulk(a => {
+    a.days = days.slice();
+    a.repeat = days.length > 0;
+  }, `hari: ${days.length ? days.map(d => DAY_SHORT[d]).join(', ') : 'sekali saja'}`);
+});
+btnBulkDuplicate.addEventListener('click', bulkDuplicate);
+btnBulkDelete.addEventListener('click', bulkDelete);
+
+// ─── TRASH & REVISIONS ───────────────────────────────
+// Deleted alarms wait in a trash next to the alarms in localStorage, so a
+// mis-click can be undone. Their sounds stay in the library until the
+// entry is purged (emptied by hand or older than TRASH_RETENTION_MS).
+// Edits keep the last REVISION_LIMIT versions of an alarm to revert to.
+// Both stay on this device; only the alarms themselves are synced.
+const TRASH_KEY = 'alarmpro_trash_v1';
+const REVISIONS_KEY = 'alarmpro_revisions_v1';
+const TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const REVISION_LIMIT = 5;
+
+function loadTrash() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(TRASH_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) { return []; }
+}
+
+function saveTrash(list) {
+  try { localStorage.setItem(TRASH_KEY, JSON.stringify(list)); } catch (e) { console.warn('saveTrash error:', e); }
+}
+
+function loadRevisions() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(REVISIONS_KEY) || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (_) { return {}; }
+}
+
+function saveRevisions(map) {
+  try { localStorage.setItem(REVISIONS_KEY, JSON.stringify(map)); } catch (e) { console.warn('saveRevisions error:', e); }
+}
+
+function cloneAlarm(alarm) {
+  return JSON.parse(JSON.stringify(alarm));
+}
+
+function alarmSummary(alarm) {
+  const days = alarm.days && alarm.days.length ? alarm.days.map(d => DAY_SHORT[d]).join(' ') : 'sekali saja';
+  return `${alarm.time || '--:--'} · ${days} · ${alarm.category === 'puasa' ? 'Puasa' : 'Reguler'}`;
+}
+
+// Moves alarms out of the list into the trash. The caller saves and renders.
+function trashAlarms(list, detail) {
+  const ids = new Set(list.map(a => a.id));
+  const deletedAt = Date.now();
+  saveTrash(loadTrash()
+    .filter(t => !ids.has(t.alarm.id))
+    .concat(list.map(a => ({ alarm: cloneAlarm(a), deletedAt, detail: detail || null }))));
+  alarms = alarms.filter(a => !ids.has(a.id));
+  list.forEach(a => logEvent('deleted', a, detail ? { detail } : {}));
+  return [...ids];
+}
+
+function showUndoToast(msg, ids) {
+  showToast(msg, { label: '↩️ Urungkan', onClick: () => requireAdmin(() => restoreFromTrash(ids)) });
+}
+
+function restoreFromTrash(ids) {
+  const wanted = new Set(ids);
+  const trash = loadTrash();
+  const back = trash
+    .filter(t => wanted.has(t.alarm.id) && !alarms.some(a => a.id === t.alarm.id))
+    .map(t => t.alarm);
+  saveTrash(trash.filter(t => !wanted.has(t.alarm.id)));
+  back.forEach(a => {
+    // Its profile or bell set may be gone by now
+    if (!profileById(a.profileId)) a.profileId = viewProfileId;
+    if (a.bellSetId && !bellSetById(a.bellSetId)) a.bellSetId = null;
+    a.snoozeUntil = null;
+    a.snoozeCount = 0;
+    logEvent('restored', a);
+  });
+  alarms.push(...back);
+  // Settings too: undoing a regenerated bell set also puts its setup back
+  saveSettingsAndAlarms();
+  renderAlarms();
+  if (!trashOverlay.classList.contains('hidden')) renderTrash();
+  if (back.length) toastWithCheck(`♻️ ${back.length} alarm dipulihkan`, back.map(a => a.id));
+  else showToast('⚠️ Alarm sudah tidak ada di sampah');
+}
+
+// Drops trash entries for good, then any library sound that only they used
+async function purgeTrash(filter) {
+  const trash = loadTrash();
+  const gone = trash.filter(filter);
+  if (!gone.length) return 0;
+  const kept = trash.filter(t => !gone.includes(t));
+  saveTrash(kept);
+  const revisions = loadRevisions();
+  gone.forEach(t => { delete revisions[t.alarm.id]; });
+  saveRevisions(revisions);
+
+  const stillUsed = new Set(alarms.concat(kept.map(t => t.alarm)).flatMap(soundIdsOf));
+  const orphans = new Set(gone.flatMap(t => soundIdsOf(t.alarm)).filter(id => !stillUsed.has(id)));
+  for (const id of orphans) { try { await deleteSoundFromDB(id); } catch (_) { } }
+  if (orphans.size) await refreshSoundLibrary();
+  return gone.length;
+}
+
+// Also forgets revisions of alarms removed without the trash (profile or
+// bell set regenerated)
+async function purgeExpiredTrash() {
+  const cutoff = Date.now() - TRASH_RETENTION_MS;
+  await purgeTrash(t => t.deletedAt < cutoff);
+  const known = new Set(alarms.concat(loadTrash().map(t => t.alarm)).map(a => a.id));
+  const revisions = loadRevisions();
+  Object.keys(revisions).forEach(id => { if (!known.has(id)) delete revisions[id]; });
+  saveRevisions(revisions);
+}
+
+function trashSoundUsage(id) {
+  return loadTrash().filter(t => soundIdsOf(t.alarm).includes(id));
+}
+
+// Keeps `alarm` as it was before an edit, newest first
+function rememberRevision(alarm, detail) {
+  const revisions = loadRevisions();
+  revisions[alarm.id] = [{ at: Date.now(), detail: detail || null, alarm: cloneAlarm(alarm) }]
+    .concat(revisions[alarm.id] || [])
+    .slice(0, REVISION_LIMIT);
+  saveRevisions(revisions);
+}
+
+function revertAlarm(id, index) {
+  const rev = (loadRevisions()[id] || [])[index];
+  const idx = alarms.findIndex(a => a.id === id);
+  if (!rev || idx === -1) return;
+  const current = alarms[idx];
+  // The revert itself can be reverted
+  rememberRevision(current, 'sebelum dikembalikan');
+  const restored = { ...cloneAlarm(rev.alarm), id, profileId: current.profileId, snoozeUntil: null, snoozeCount: 0, skipAt: null };
+  if (restored.bellSetId && !bellSetById(restored.bellSetId)) restored.bellSetId = null;
+  alarms[idx] = restored;
+  logEvent('edited', restored, { detail: `dikembalikan ke versi ${formatEventTime(rev.at)}` });
+  saveAlarms();
+  renderAlarms();
+  closeModal();
+  showToast(`↩️ "${restored.name || 'Alarm'}" dikembalikan`);
+}
+
+function renderRevisions(id) {
+  const list = id ? loadRevisions()[id] || [] : [];
+  alarmRevisionsGroupEl.classList.toggle('hidden', list.length === 0);
+  alarmRevisionsEl.innerHTML = list.map((rev, i) => `
+    <div class="sound-item">
+      <span>${escHtml(rev.alarm.name || 'Alarm')} <span class="sound-meta">${escHtml(alarmSummary(rev.alarm))}</span></span>
+      <span class="sound-meta">${formatEventTime(rev.at)}${rev.detail ? ` · ${escHtml(rev.detail)}` : ''}</span>
+      <button class="btn-tool" type="button" data-rev="${i}">↩️ Kembalikan</button>
+    </div>`).join('');
+}
+
+function openTrashModal() {
+  renderTrash();
+  trashOverlay.classList.remove('hidden');
+}
+
+function closeTrashModal() {
+  trashOverlay.classList.add('hidden');
+}
+
+function renderTrash() {
+  const trash = loadTrash().sort((a, b) => b.deletedAt - a.deletedAt);
+  trashListEl.innerHTML = trash.length === 0
+    ? '<div class="ex-empty">Sampah kosong</div>'
+    : trash.map(t => {
+      const daysLeft = Math.max(1, Math.ceil((t.deletedAt + TRASH_RETENTION_MS - Date.now()) / (24 * 60 * 60 * 1000)));
+      return `
+        <div class="sound-item">
+          <span>${escHtml(t.alarm.name || 'Alarm')} <span class="sound-meta">${escHtml(alarmSummary(t.alarm))}</span></span>
+          <span class="sound-meta">dihapus ${formatEventTime(t.deletedAt)}${t.detail ? ` · ${escHtml(t.detail)}` : ''} · sisa ${daysLeft} hari</span>
+          <div class="step-actions">
+            <button class="btn-icon-action edit" type="button" data-act="restore" data-id="${escHtml(t.alarm.id)}" title="Pulihkan">♻️</button>
+            <button class="btn-icon-action delete" type="button" data-act="purge" data-id="${escHtml(t.alarm.id)}" title="Hapus permanen">✕</button>
+          </div>
+        </div>`;
+    }).join('');
+  btnTrashEmpty.disabled = trash.length === 0;
+}
+
+trashListEl.addEventListener('click', e => {
+  const btn = e.target.closest('button[data-act]');
+  if (!btn) return;
+  const id = btn.dataset.id;
+  if (btn.dataset.act === 'restore') requireAdmin(() => restoreFromTrash([id]));
+  if (btn.dataset.act === 'purge') requireAdmin(async () => {
+    if (!confirm('Hapus alarm ini secara permanen? Tidak bisa diurungkan.')) return;
+    await purgeTrash(t => t.alarm.id === id);
+    renderTrash();
+    showToast('🗑️ Alarm dihapus permanen');
+  });
+});
+btnTrashEmpty.addEventListener('click', () => requireAdmin(async () => {
+  const count = loadTrash().length;
+  if (!count || !confirm(`Kosongkan sampah (${count} alarm)? Suara yang hanya dipakai alarm ini ikut dihapus.`)) return;
+  await purgeTrash(() => true);
+  renderTrash();
+  showToast('🗑️ Sampah dikosongkan');
+}));
+alarmRevisionsEl.addEventListener('click', e => {
+  const btn = e.target.closest('button[data-rev]');
+  if (btn && editingId) revertAlarm(editingId, parseInt(btn.dataset.rev));
+});
+btnTrash.addEventListener('click', () => requireAdmin(openTrashModal));
+btnTrashClose.addEventListener('click', closeTrashModal);
+btnTrashDone.addEventListener('click', closeTrashModal);
+trashOverlay.addEventListener('click', e => { if (e.target === trashOverlay) closeTrashModal(); });
+
+// ─── MODAL ───────────────────────────────────────────
+function openAddModal(defaultCategory) {
+  editingId = null;
+  modalTitle.textContent = 'Tambah Alarm';
+  alarmNameEl.value = '';
+  alarmTimeEl.value = '';
+  alarmRepeatEl.checked = true;
+  dayBtns.forEach(b => b.classList.remove('selected'));
+  leadBtns.forEach(b => b.classList.remove('selected'));
+  if (alarmCategoryEl) alarmCategoryEl.value = defaultCategory || 'regular';
+  alarmPriorityEl.value = 'normal';
+  alarmTimeSourceEl.value = 'fixed';
+  alarmTriggerOffsetEl.value = '0';
+  updateTriggerFields();
+  renderRevisions(null);
+  writeSeasonFields(null);
+  alarmUseExceptionsEl.value = 'inherit';
+  alarmMissedPolicyEl.value = DEFAULT_MISSED_POLICY;
+  alarmMissedGraceEl.value = String(DEFAULT_MISSED_GRACE);
+  alarmSnoozeMinutesEl.value = String(DEFAULT_SNOOZE_MINUTES);
+  alarmSnoozeMaxEl.value = String(DEFAULT_SNOOZE_MAX);
+  alarmSoundTypeEl.value = 'audio';
+  writeTtsFields(null);
+  writePlaybackFields(null);
+  pendingSteps = [];
+  renderSteps();
+  updateSoundFields();
+  alarmLibrarySoundEl.innerHTML = librarySoundOptions('', '— Belum dipilih —');
+  clearPendingAudio();
+  modalOverlay.classList.remove('hidden');
+  // Focus the time input after a small delay so modal is visible
+  setTimeout(() => alarmTimeEl.focus(), 100);
+}
+
+function openEditModal(id) {
+  const alarm = alarms.find(a => a.id === id);
+  if (!alarm) return;
+  editingId = id;
+  modalTitle.textContent = 'Edit Alarm';
+  alarmNameEl.value = alarm.name || '';
+  alarmTimeEl.value = alarm.time || '';
+  alarmRepeatEl.checked = alarm.repeat !== false;
+  if (alarmCategoryEl) alarmCategoryEl.value = alarm.category || 'regular';
+  alarmPriorityEl.value = priorityOf(alarm);
+  alarmTimeSourceEl.value = alarm.trigger ? alarm.trigger.event : 'fixed';
+  alarmTriggerOffsetEl.value = String(alarm.trigger ? alarm.trigger.offset || 0 : 0);
+  updateTriggerFields();
+  writeSeasonFields(alarm.season || null);
+  alarmUseExceptionsEl.value = typeof alarm.useExceptions === 'boolean'
+    ? (alarm.useExceptions ? 'yes' : 'no') : 'inherit';
+  alarmMissedPolicyEl.value = missedPolicyOf(alarm);
+  alarmMissedGraceEl.value = String(missedGraceOf(alarm));
+  alarmSnoozeMinutesEl.value = String(snoozeMinutesOf(alarm));
+  alarmSnoozeMaxEl.value = String(snoozeMaxOf(alarm));
+  dayBtns.forEach(b => {
+    b.classList.toggle('selected', alarm.days && alarm.days.includes(parseInt(b.dataset.day)));
+  });
+  leadBtns.forEach(b => b.classList.toggle('selected', remindersOf(alarm).includes(parseInt(b.dataset.lead))));
+  alarmLibrarySoundEl.innerHTML = librarySoundOptions(alarm.soundId || '', '— Belum dipilih —');
+  clearPendingAudio();
+  // Legacy alarms without audio rang the beep; show that as "Audio unggahan"
+  // so picking a file later just works
+  alarmSoundTypeEl.value = alarm.soundType || 'audio';
+  writeTtsFields(alarm.tts);
+  writePlaybackFields(alarm.playback);
+  pendingSteps = (alarm.steps || []).map(s => ({ ...s }));
+  renderSteps();
+  updateSoundFields();
+  renderRevisions(id);
+  modalOverlay.classList.remove('hidden');
+}
+
+function closeModal() {
+  stopSoundTest();
   modalOverlay.classList.add('hidden');
   editingId = null;
 }
 
-function clearPendingAudio() {
-  pendingAudioDataUrl = null;
-  pendingAudioName = null;
-  pendingAudioFile = null;
-  pendingKeepExisting = false;
-  audioFileEl.value = '';
-  uploadContent.style.display = '';
-  uploadPreview.classList.add('hidden');
+function clearPendingAudio() {
+  pendingAudioName = null;
+  pendingAudioFile = null;
+  audioFileEl.value = '';
+  uploadContent.style.display = '';
+  uploadPreview.classList.add('hidden');
+}
+
+// The prayer-time source is only offered for Puasa alarms. When a prayer
+// event is chosen the fixed time input is replaced by today's computed time.
+function readTrigger() {
+  const category = (alarmCategoryEl && alarmCategoryEl.value) || 'regular';
+  const source = alarmTimeSourceEl.value;
+  if (category !== 'puasa' || source === 'fixed') return null;
+  return { type: 'prayer', event: source, offset: parseInt(alarmTriggerOffsetEl.value) || 0 };
+}
+
+function updateTriggerFields() {
+  const isPuasa = alarmCategoryEl && alarmCategoryEl.value === 'puasa';
+  triggerGroupEl.classList.toggle('hidden', !isPuasa);
+  const trigger = readTrigger();
+  alarmTimeEl.disabled = !!trigger;
+  alarmTriggerOffsetEl.disabled = alarmTimeSourceEl.value === 'fixed';
+  if (!trigger) {
+    triggerHintEl.textContent = 'Selisih dalam menit, contoh −10 untuk 10 menit sebelumnya';
+    return;
+  }
+  const today = AlarmSchedule.resolveAlarmTime({ trigger }, new Date(), settings);
+  if (today) {
+    alarmTimeEl.value = today;
+    triggerHintEl.textContent = `Hari ini: ${today} — dihitung ulang otomatis setiap hari`;
+  } else {
+    alarmTimeEl.value = '';
+    triggerHintEl.textContent = '⚠️ Lokasi belum diatur — buka Pengaturan untuk mengisi lokasi';
+  }
+}
+
+// ─── HIJRI SEASON FIELDS ─────────────────────────────
+// `inherit` (stored as a missing season) follows the category default.
+function fillSeasonOptions() {
+  const presets = Object.entries(AlarmSchedule.SEASON_PRESETS);
+  alarmSeasonEl.innerHTML = '<option value="inherit">Ikuti kategori</option>' +
+    presets.map(([key, label]) => `<option value="${key}">${escHtml(label)}</option>`).join('');
+  puasaSeasonEl.innerHTML = presets.filter(([key]) => key !== 'custom')
+    .map(([key, label]) => `<option value="${key}">${escHtml(label)}</option>`).join('');
+  const months = AlarmSchedule.HIJRI_MONTHS
+    .map((name, i) => `<option value="${i + 1}">${escHtml(name)}</option>`).join('');
+  seasonFromMonthEl.innerHTML = months;
+  seasonToMonthEl.innerHTML = months;
+}
+
+function writeSeasonFields(season) {
+  alarmSeasonEl.value = season ? season.preset : 'inherit';
+  const from = (season && season.from) || { month: 9, day: 1 };
+  const to = (season && season.to) || { month: 9, day: 30 };
+  seasonFromDayEl.value = String(from.day);
+  seasonFromMonthEl.value = String(from.month);
+  seasonToDayEl.value = String(to.day);
+  seasonToMonthEl.value = String(to.month);
+  seasonRangeEl.classList.toggle('hidden', alarmSeasonEl.value !== 'custom');
+}
+
+function readSeasonFields() {
+  const preset = alarmSeasonEl.value;
+  if (preset === 'inherit') return null;
+  if (preset !== 'custom') return { preset };
+  const day = el => Math.min(30, Math.max(1, parseInt(el.value) || 1));
+  return {
+    preset,
+    from: { month: parseInt(seasonFromMonthEl.value), day: day(seasonFromDayEl) },
+    to: { month: parseInt(seasonToMonthEl.value), day: day(seasonToDayEl) },
+  };
+}
+
+alarmSeasonEl.addEventListener('change', () => {
+  seasonRangeEl.classList.toggle('hidden', alarmSeasonEl.value !== 'custom');
+});
+
+function showAudioPreview(name) {
+  previewName.textContent = name;
+  uploadContent.style.display = 'none';
+  uploadPreview.classList.remove('hidden');
+}
+
+// ─── SAVE ALARM ──────────────────────────────────────
+btnSave.addEventListener('click', async () => {
+  const trigger = readTrigger();
+  const time = trigger
+    ? AlarmSchedule.resolveAlarmTime({ trigger }, new Date(), settings) || ''
+    : alarmTimeEl.value.trim();
+  if (trigger && !time) {
+    showToast('⚠️ Atur lokasi di Pengaturan agar waktu sholat bisa dihitung');
+    return;
+  }
+  if (!time) {
+    alarmTimeEl.style.borderColor = '#ff5252';
+    setTimeout(() => alarmTimeEl.style.borderColor = '', 2000);
+    showToast('⚠️ Pilih waktu alarm terlebih dahulu!');
+    alarmTimeEl.focus();
+    return;
+  }
+
+  const selectedDays = [];
+  dayBtns.forEach(b => {
+    if (b.classList.contains('selected')) selectedDays.push(parseInt(b.dataset.day));
+  });
+
+  const playback = readPlaybackFields();
+  if (playback.trimEnd && playback.trimEnd <= playback.trimStart) {
+    showToast('⚠️ Detik selesai harus lebih besar dari detik mulai');
+    pbTrimEndEl.focus();
+    return;
+  }
+  if (alarmSoundTypeEl.value === 'sequence' && pendingSteps.length === 0) {
+    showToast('⚠️ Tambahkan minimal satu langkah ke urutan suara');
+    return;
+  }
+
+  const newId = editingId || uid();
+  // A new upload goes into the shared library; the alarm only keeps its id
+  let soundId = alarmLibrarySoundEl.value || null;
+  let steps;
+  try {
+    if (pendingAudioFile) {
+      const { sound, duplicate } = await addSound(pendingAudioFile, pendingAudioName);
+      soundId = sound.id;
+      if (duplicate) showToast(`♻️ File yang sama sudah ada di pustaka: "${sound.name}"`);
+    }
+    steps = await commitSteps();
+  } catch (_) { showToast('❌ Gagal menyimpan audio'); return; }
+
+  const previous = editingId && alarms.find(a => a.id === editingId);
+  const data = {
+    id: newId,
+    profileId: previous ? previous.profileId : viewProfileId,
+    name: alarmNameEl.value.trim() || 'Alarm',
+    time,
+    trigger,
+    season: readSeasonFields(),
+    useExceptions: alarmUseExceptionsEl.value === 'inherit' ? null : alarmUseExceptionsEl.value === 'yes',
+    missedPolicy: alarmMissedPolicyEl.value,
+    missedGrace: parseInt(alarmMissedGraceEl.value) || DEFAULT_MISSED_GRACE,
+    days: selectedDays,
+    category: (alarmCategoryEl && alarmCategoryEl.value) || 'regular',
+    priority: alarmPriorityEl.value,
+    repeat: alarmRepeatEl.checked,
+    enabled: true,
+    soundId,
+    soundType: alarmSoundTypeEl.value,
+    // Keep the TTS setup when switching away, so switching back restores it
+    tts: alarmSoundTypeEl.value === 'tts' ? readTtsFields() : (previous && previous.tts) || null,
+    playback,
+    steps,
+    snoozeMinutes: parseInt(alarmSnoozeMinutesEl.value) || DEFAULT_SNOOZE_MINUTES,
+    snoozeMax: parseInt(alarmSnoozeMaxEl.value) || 0,
+    snoozeCount: 0,
+    snoozeUntil: null,
+    reminders: [...leadBtns].filter(b => b.classList.contains('selected'))
+      .map(b => parseInt(b.dataset.lead)).sort((a, b) => b - a),
+    // An edit may move the time, so a pending skip no longer applies
+    skipAt: null,
+  };
+
+  const issues = alarmIssues(data, alarms.filter(a => a.id !== data.id));
+  if (issues.length && !confirm('Periksa dulu sebelum menyimpan:\n\n'
+    + issues.map(issue => `• ${issue.text}\n  ${issue.detail}`).join('\n\n')
+    + '\n\nTetap simpan?')) return;
+
+  if (editingId) {
+    const idx = alarms.findIndex(a => a.id === editingId);
+    if (previous) rememberRevision(previous);
+    if (idx !== -1) alarms[idx] = data;
+    else alarms.push(data);
+    logEvent('edited', data);
+    showToast('✅ Alarm diperbarui!');
+  } else {
+    alarms.push(data);
+    logEvent('created', data);
+    showToast('✅ Alarm baru berhasil disimpan!');
+  }
+
+  saveAlarms();
+  renderAlarms();
+  closeModal();
+});
+
+// ─── FILE UPLOAD ─────────────────────────────────────
+// Use a visible styled button + hidden file input to avoid click coverage issues
+uploadArea.addEventListener('click', (e) => {
+  // Only trigger if click is on the upload content area (not on the preview-remove button)
+  if (e.target.closest('#previewRemove')) return;
+  if (!uploadPreview.classList.contains('hidden')) return; // already have file selected
+  audioFileEl.click();
+});
+
+audioFileEl.addEventListener('change', e => {
+  const file = e.target.files[0];
+  if (file) processAudioFile(file);
+});
+
+uploadArea.addEventListener('dragover', e => { e.preventDefault(); uploadArea.classList.add('drag-over'); });
+uploadArea.addEventListener('dragleave', () => uploadArea.classList.remove('drag-over'));
+uploadArea.addEventListener('drop', e => {
+  e.preventDefault();
+  uploadArea.classList.remove('drag-over');
+  const file = e.dataTransfer.files[0];
+  if (file) processAudioFile(file);
+});
+
+previewRemove.addEventListener('click', e => {
+  e.stopPropagation();
+  clearPendingAudio();
+});
+
+function processAudioFile(file) {
+  if (!checkAudioFile(file)) return;
+  pendingAudioFile = file;
+  pendingAudioName = file.name;
+  alarmLibrarySoundEl.value = '';
+  showAudioPreview(file.name);
+  showToast(`✅ Audio siap: ${file.name}`);
+}
+
+// Picking a library sound replaces a not-yet-saved upload
+alarmLibrarySoundEl.addEventListener('change', () => {
+  if (alarmLibrarySoundEl.value) clearPendingAudio();
+});
+
+alarmTimeSourceEl.addEventListener('change', updateTriggerFields);
+alarmTriggerOffsetEl.addEventListener('input', updateTriggerFields);
+if (alarmCategoryEl) alarmCategoryEl.addEventListener('change', updateTriggerFields);
+
+// ─── SETTINGS ────────────────────────────────────────
+function fillMethodOptions() {
+  locMethodEl.innerHTML = Object.entries(AlarmSchedule.METHODS)
+    .map(([key, m]) => `<option value="${key}">${escHtml(m.name)}</option>`).join('');
+}
+
+function readLocationForm() {
+  const lat = parseFloat(locLatEl.value);
+  const lng = parseFloat(locLngEl.value);
+  if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return {
+    label: locLabelEl.value.trim(),
+    lat,
+    lng,
+    tz: parseFloat(locTzEl.value),
+    method: locMethodEl.value,
+  };
+}
+
+function renderPrayerPreview() {
+  const times = AlarmSchedule.prayerTimes(new Date(), readLocationForm());
+  if (!times) { prayerPreviewEl.innerHTML = ''; return; }
+  prayerPreviewEl.innerHTML = Object.entries(AlarmSchedule.PRAYER_EVENTS).map(([key, label]) => `
+    <div class="prayer-cell">
+      <div class="prayer-cell-label">${label}</div>
+      <div class="prayer-cell-time">${times[key] === null ? '--:--' : AlarmSchedule.minutesToHHMM(times[key])}</div>
+    </div>`).join('');
+}
+
+function renderHijriToday() {
+  const h = AlarmSchedule.toHijri(new Date(), parseInt(hijriAdjustEl.value) || 0);
+  hijriTodayEl.textContent = `Hari ini: ${AlarmSchedule.formatHijri(h)}`;
+}
+
+function openSettingsModal() {
+  const loc = settings.location || {};
+  locLabelEl.value = loc.label || '';
+  locLatEl.value = loc.lat ?? '';
+  locLngEl.value = loc.lng ?? '';
+  locTzEl.value = String(loc.tz || 7);
+  locMethodEl.value = loc.method || 'kemenag';
+  hijriAdjustEl.value = String(settings.hijriAdjust || 0);
+  const puasaDefault = settings.categorySeason && settings.categorySeason.puasa;
+  puasaSeasonEl.value = puasaDefault ? puasaDefault.preset : 'always';
+  renderPrayerPreview();
+  renderHijriToday();
+  renderPinSettings();
+  settingsOverlay.classList.remove('hidden');
+}
+
+function closeSettingsModal() {
+  settingsOverlay.classList.add('hidden');
+}
+
+btnSettingsSave.addEventListener('click', async () => {
+  const hasInput = locLatEl.value.trim() || locLngEl.value.trim();
+  const location = readLocationForm();
+  if (hasInput && !location) {
+    showToast('⚠️ Lintang/bujur tidak valid');
+    return;
+  }
+  const newPin = adminPinEl.value.trim();
+  if (newPin || adminPinConfirmEl.value.trim()) {
+    if (!/^\d{4,8}$/.test(newPin)) {
+      showToast('⚠️ PIN harus 4–8 angka');
+      return;
+    }
+    if (newPin !== adminPinConfirmEl.value.trim()) {
+      showToast('⚠️ Ulangi PIN tidak sama');
+      return;
+    }
+    await setAdminPin(newPin);
+    // Whoever set it stays unlocked for now
+    adminUnlockedUntil = Date.now() + ADMIN_IDLE_MS;
+    renderAdminLock();
+  }
+  settings.location = location;
+  settings.hijriAdjust = parseInt(hijriAdjustEl.value) || 0;
+  settings.categorySeason = {
+    ...(settings.categorySeason || {}),
+    puasa: puasaSeasonEl.value === 'always' ? null : { preset: puasaSeasonEl.value },
+  };
+  saveSettings();
+  renderAlarms();
+  closeSettingsModal();
+  showToast('✅ Pengaturan disimpan');
+});
+
+btnLocDetect.addEventListener('click', () => {
+  if (!navigator.geolocation) { showToast('❌ Browser tidak mendukung deteksi lokasi'); return; }
+  navigator.geolocation.getCurrentPosition(pos => {
+    locLatEl.value = pos.coords.latitude.toFixed(4);
+    locLngEl.value = pos.coords.longitude.toFixed(4);
+    renderPrayerPreview();
+  }, () => showToast('⚠️ Lokasi tidak bisa dideteksi, isi manual'));
+});
+
+[locLatEl, locLngEl, locTzEl, locMethodEl].forEach(el => el.addEventListener('input', renderPrayerPreview));
+hijriAdjustEl.addEventListener('change', renderHijriToday);
+btnSettings.addEventListener('click', () => requireAdmin(openSettingsModal));
+btnSettingsClose.addEventListener('click', closeSettingsModal);
+btnSettingsCancel.addEventListener('click', closeSettingsModal);
+settingsOverlay.addEventListener('click', e => { if (e.target === settingsOverlay) closeSettingsModal(); });
+
+// ─── ADMIN LOCK ──────────────────────────────────────
+// Optional PIN in settings.adminPin ({ kdf, salt, hash, rounds }). It stays
+// on this device: LAN sync and backups leave it out (DEVICE_SETTING_KEYS).
+// While set, adding, editing, deleting, switching alarms on/off, imports
+// and the settings-type dialogs ask for it; dismissing or snoozing a
+// ringing alarm never does. Unlocking lasts until ADMIN_IDLE_MS without
+// any click or key press.
+const ADMIN_IDLE_MS = 5 * 60 * 1000;
+const PIN_MAX_TRIES = 5;
+const PIN_LOCKOUT_MS = 30 * 1000;
+// A 4–8 digit PIN falls to brute force quickly if the hash is cheap, so it
+// is stretched with PBKDF2. Plain-http LAN pages have no SubtleCrypto; there
+// the plain-JS SHA-256 below is iterated fewer times, in chunks, so the
+// clock and a ringing alarm keep running meanwhile.
+const PIN_PBKDF2_ROUNDS = 300000;
+const PIN_FALLBACK_ROUNDS = 20000;
+const PIN_FALLBACK_CHUNK = 1000;
+const KIOSK_KEY = 'alarmpro_kiosk';
+
+let adminUnlockedUntil = 0;
+let pendingAdminAction = null;
+let pinTries = 0;
+let pinChecking = false;
+let pinBlockedUntil = 0;
+
+// SHA-256 in plain JS: SubtleCrypto is missing on plain-http LAN pages
+const SHA256_PRIMES = [];
+for (let n = 2; SHA256_PRIMES.length < 64; n++) if (SHA256_PRIMES.every(p => n % p)) SHA256_PRIMES.push(n);
+const sha256Frac = x => ((x - Math.floor(x)) * 0x100000000) | 0;
+const SHA256_K = SHA256_PRIMES.map(p => sha256Frac(Math.cbrt(p)));
+const SHA256_H0 = SHA256_PRIMES.slice(0, 8).map(p => sha256Frac(Math.sqrt(p)));
+
+// Byte array in, 32 bytes out
+function sha256(input) {
+  const bytes = [...input];
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  const H = SHA256_H0.slice();
+  const K = SHA256_K;
+
+  const bitLen = bytes.length * 8;
+  bytes.push(0x80);
+  while (bytes.length % 64 !== 56) bytes.push(0);
+  for (let i = 7; i >= 0; i--) bytes.push(i > 3 ? 0 : (bitLen >>> (i * 8)) & 0xff);
+
+  const w = new Array(64);
+  for (let off = 0; off < bytes.length; off += 64) {
+    for (let i = 0; i < 64; i++) {
+      if (i < 16) {
+        const j = off + i * 4;
+        w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+      } else {
+        const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+      }
+    }
+    let [a, b, c, d, e, f, g, h] = H;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g; g = f; f = e; e = (d + t1) | 0; d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((v, i) => { H[i] = (H[i] + v) | 0; });
+  }
+  const out = [];
+  H.forEach(v => out.push((v >>> 24) & 0xff, (v >>> 16) & 0xff, (v >>> 8) & 0xff, v & 0xff));
+  return out;
+}
+
+const toHex = bytes => bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+
+const pbkdf2Available = () => !!(window.crypto && crypto.subtle);
+
+async function pbkdf2Hex(pin, salt, rounds) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(pin), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations: rounds }, key, 256);
+  return toHex([...new Uint8Array(bits)]);
+}
+
+function iteratedSha256Hex(pin, salt, rounds) {
+  const saltBytes = [...new TextEncoder().encode(salt)];
+  let digest = sha256(new TextEncoder().encode(`${salt}:${pin}`));
+  let done = 0;
+  return new Promise(resolve => {
+    (function chunk() {
+      const end = Math.min(rounds, done + PIN_FALLBACK_CHUNK);
+      for (; done < end; done++) digest = sha256(digest.concat(saltBytes));
+      if (done < rounds) setTimeout(chunk, 0);
+      else resolve(toHex(digest));
+    })();
+  });
+}
+
+// → hex hash, or null when this page can't compute that kind of hash
+async function hashPin(pin, { kdf, salt, rounds }) {
+  if (kdf === 'pbkdf2') return pbkdf2Available() ? pbkdf2Hex(pin, salt, rounds) : null;
+  if (kdf === 'sha256') return iteratedSha256Hex(pin, salt, rounds);
+  return null;
+}
+
+async function setAdminPin(pin) {
+  const salt = toHex([...crypto.getRandomValues(new Uint8Array(16))]);
+  const params = pbkdf2Available()
+    ? { kdf: 'pbkdf2', salt, rounds: PIN_PBKDF2_ROUNDS }
+    : { kdf: 'sha256', salt, rounds: PIN_FALLBACK_ROUNDS };
+  const hash = await hashPin(pin, params);
+  settings.adminPin = { ...params, hash };
+}
+
+function adminPinSet() {
+  return !!(settings.adminPin && settings.adminPin.hash);
+}
+
+function isAdminUnlocked() {
+  return !adminPinSet() || Date.now() < adminUnlockedUntil;
+}
+
+// Runs `action` right away when no PIN is set or the lock is open,
+// otherwise after the PIN has been entered
+function requireAdmin(action) {
+  if (isAdminUnlocked()) {
+    if (adminPinSet()) adminUnlockedUntil = Date.now() + ADMIN_IDLE_MS;
+    action();
+    return;
+  }
+  pendingAdminAction = action;
+  openPinModal();
+}
+
+function openPinModal() {
+  pinInputEl.value = '';
+  pinErrorEl.textContent = '';
+  pinOverlay.classList.remove('hidden');
+  setTimeout(() => pinInputEl.focus(), 100);
+}
+
+function closePinModal() {
+  pinOverlay.classList.add('hidden');
+  pendingAdminAction = null;
+}
+
+async function submitPin() {
+  const now = Date.now();
+  if (pinChecking) return;
+  if (now < pinBlockedUntil) {
+    pinErrorEl.textContent = `Terlalu banyak percobaan — tunggu ${Math.ceil((pinBlockedUntil - now) / 1000)} detik`;
+    return;
+  }
+  const stored = settings.adminPin || {};
+  pinChecking = true;
+  pinErrorEl.textContent = 'Memeriksa…';
+  let hash;
+  try {
+    hash = await hashPin(pinInputEl.value, stored);
+  } finally {
+    pinChecking = false;
+  }
+  if (pinOverlay.classList.contains('hidden')) return;   // closed meanwhile
+  if (hash === null) {
+    pinErrorEl.textContent = 'PIN ini hanya bisa diperiksa lewat https:// atau localhost';
+    return;
+  }
+  if (hash !== stored.hash) {
+    pinTries++;
+    pinInputEl.value = '';
+    if (pinTries >= PIN_MAX_TRIES) {
+      pinTries = 0;
+      pinBlockedUntil = now + PIN_LOCKOUT_MS;
+    }
+    pinErrorEl.textContent = 'PIN salah';
+    return;
+  }
+  pinTries = 0;
+  adminUnlockedUntil = Date.now() + ADMIN_IDLE_MS;
+  const action = pendingAdminAction;
+  closePinModal();
+  renderAdminLock();
+  if (action) action();
+}
+
+// Locking closes every dialog that could change the schedule
+function lockAdmin() {
+  adminUnlockedUntil = 0;
+  closeModal();
+  closeSettingsModal();
+  closeHolidayModal();
+  closeProfileModal();
+  closeRestoreModal();
+  closeLibraryModal();
+  closeSyncModal();
+  closeGeneratorModal();
+  closeTrashModal();
+  renderAdminLock();
+}
+
+// Called every second from the clock
+function checkAdminIdle(nowMs) {
+  if (adminUnlockedUntil && nowMs >= adminUnlockedUntil) {
+    lockAdmin();
+    if (adminPinSet()) showToast('🔒 Terkunci otomatis');
+  }
+  renderAdminLock();
+}
+
+function renderAdminLock() {
+  const locked = !isAdminUnlocked();
+  document.body.classList.toggle('admin-locked', locked);
+  btnAdminLock.classList.toggle('hidden', !adminPinSet());
+  if (locked) {
+    btnAdminLock.textContent = '🔒 Terkunci';
+    return;
+  }
+  const left = Math.max(0, Math.ceil((adminUnlockedUntil - Date.now()) / 1000));
+  btnAdminLock.textContent = `🔓 Admin · ${Math.floor(left / 60)}:${pad(left % 60)}`;
+}
+
+function renderPinSettings() {
+  adminPinEl.value = '';
+  adminPinConfirmEl.value = '';
+  adminPinHintEl.textContent = adminPinSet()
+    ? 'PIN aktif di perangkat ini (tidak ikut sinkron). Isi kolom di atas hanya untuk menggantinya.'
+    : 'Belum ada PIN di perangkat ini — siapa pun bisa mengubah atau mematikan alarm.';
+  btnAdminPinRemove.classList.toggle('hidden', !adminPinSet());
+}
+
+// Any click or key press keeps an open lock open
+['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, () => {
+  if (adminPinSet() && adminUnlockedUntil > Date.now()) adminUnlockedUntil = Date.now() + ADMIN_IDLE_MS;
+}, true));
+
+btnAdminLock.addEventListener('click', () => {
+  if (isAdminUnlocked()) {
+    lockAdmin();
+    showToast('🔒 Terkunci');
+  } else {
+    requireAdmin(() => showToast('🔓 Mode admin terbuka'));
+  }
+});
+
+btnAdminPinRemove.addEventListener('click', () => {
+  if (!confirm('Hapus PIN admin? Semua orang bisa mengubah alarm lagi.')) return;
+  delete settings.adminPin;
+  adminUnlockedUntil = 0;
+  saveSettings();
+  renderPinSettings();
+  renderAdminLock();
+  showToast('🔓 PIN admin dihapus');
+});
+
+pinFormEl.addEventListener('submit', e => {
+  e.preventDefault();
+  submitPin();
+});
+btnPinClose.addEventListener('click', closePinModal);
+btnPinCancel.addEventListener('click', closePinModal);
+pinOverlay.addEventListener('click', e => { if (e.target === pinOverlay) closePinModal(); });
+
+// ─── KIOSK VIEW ──────────────────────────────────────
+// Read-only screen for the teachers' room: the clock and what rings next.
+// Remembered per device; leaving it needs the PIN when one is set.
+const KIOSK_HOURS = 24;
+const KIOSK_MAX_ROWS = 8;
+let kioskMinute = null;
+
+function isKiosk() {
+  return document.body.classList.contains('kiosk');
+}
+
+function setKiosk(on) {
+  document.body.classList.toggle('kiosk', on);
+  try { localStorage.setItem(KIOSK_KEY, on ? '1' : ''); } catch (_) { }
+  if (on) {
+    closeModal();
+    closeSettingsModal();
+    kioskMinute = null;
+    renderKiosk();
+  }
+}
+
+function upcomingOccurrences(hours, limit) {
+  const now = Date.now();
+  const out = [];
+  for (const alarm of liveAlarms()) {
+    if (!alarm.enabled) continue;
+    AlarmSchedule.occurrencesBetween(alarm, now, now + hours * 3600000, settings)
+      .forEach(at => out.push({ alarm, at }));
+  }
+  return out.sort((a, b) => a.at - b.at).slice(0, limit);
+}
+
+function renderKiosk() {
+  if (!isKiosk()) return;
+  const today = new Date().toDateString();
+  const rows = upcomingOccurrences(KIOSK_HOURS, KIOSK_MAX_ROWS);
+  kioskListEl.innerHTML = rows.length === 0
+    ? '<div class="ex-empty">Tidak ada alarm dalam 24 jam ke depan</div>'
+    : rows.map(({ alarm, at }) => `
+      <div class="kiosk-row">
+        <span class="kiosk-time">${timeFromMs(at)}</span>
+        <span class="kiosk-name">${escHtml(alarm.name || 'Alarm')}</span>
+        <span class="kiosk-day">${new Date(at).toDateString() === today ? 'Hari ini' : DAY_NAMES[new Date(at).getDay()]}</span>
+      </div>`).join('');
+}
+
+// Called every second from the clock; the list only changes per minute
+function tickKiosk(now) {
+  if (!isKiosk() || now.getMinutes() === kioskMinute) return;
+  kioskMinute = now.getMinutes();
+  renderKiosk();
+}
+
+btnKiosk.addEventListener('click', () => setKiosk(true));
+btnKioskExit.addEventListener('click', () => requireAdmin(() => setKiosk(false)));
+
+// ─── NEXT ALARM & TIMELINE ───────────────────────────
+// The header counts down to the next ring of the running profile; the
+// timeline plots the next 7 days of the profile on screen. Both are worked
+// out again on every render and once a minute; the countdown text itself
+// ticks every second from the cached result.
+const NEXT_LOOKAHEAD_HOURS = 7 * 24;
+const TIMELINE_DAYS = 7;
+const TIMELINE_HOUR_PX = 48;
+const TIMELINE_BLOCK_PX = 22;
+const TIMELINE_HIDDEN_KEY = 'alarmpro_timeline_hidden';
+let nextAlarm;   // { alarm, at, snoozed } | null; undefined = work it out again
+let overviewMinute = null;
+
+// A pending snooze rings before the alarm's next regular occurrence. It
+// rings even when switched off: a one-shot alarm disables itself on its
+// first ring and is then snoozed.
+function findNextAlarm(nowMs) {
+  const [first] = upcomingOccurrences(NEXT_LOOKAHEAD_HOURS, 1);
+  const snoozed = liveAlarms()
+    .filter(a => a.snoozeUntil > nowMs)
+    .sort((a, b) => a.snoozeUntil - b.snoozeUntil)[0];
+  if (snoozed && (!first || snoozed.snoozeUntil < first.at)) return { alarm: snoozed, at: snoozed.snoozeUntil, snoozed: true };
+  return first || null;
+}
+
+function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const days = Math.floor(total / 86400);
+  const h = Math.floor(total % 86400 / 3600);
+  const m = Math.floor(total % 3600 / 60);
+  if (days) return `${days} hari ${h} jam`;
+  return h ? `${h}:${pad(m)}:${pad(total % 60)}` : `${pad(m)}:${pad(total % 60)}`;
+}
+
+function renderNextAlarm(nowMs) {
+  if (nextAlarm === undefined || (nextAlarm && nextAlarm.at <= nowMs)) nextAlarm = findNextAlarm(nowMs);
+  if (!nextAlarm) {
+    clockNextEl.textContent = `Tidak ada alarm dalam ${NEXT_LOOKAHEAD_HOURS / 24} hari ke depan`;
+    clockNextEl.title = '';
+    return;
+  }
+  const { alarm, at, snoozed } = nextAlarm;
+  const sameDay = new Date(at).toDateString() === new Date(nowMs).toDateString();
+  clockNextEl.textContent = `Alarm berikutnya: ${alarm.name || 'Alarm'}${snoozed ? ' (ditunda)' : ''} dalam ${formatCountdown(at - nowMs)}`;
+  clockNextEl.title = `${sameDay ? 'Hari ini' : DAY_NAMES[new Date(at).getDay()]} ${timeFromMs(at)}`;
+}
+
+// Occurrences of the enabled alarms on screen in [startMs, endMs). A
+// one-shot alarm only rings once, so it shows at its next time only.
+function timelineEntries(startMs, endMs, nowMs) {
+  const out = [];
+  alarms.filter(a => a.profileId === viewProfileId && a.enabled).forEach(alarm => {
+    const once = !(Array.isArray(alarm.days) && alarm.days.length > 0);
+    let times = AlarmSchedule.occurrencesBetween(alarm, startMs - 1, endMs - 1, settings);
+    if (once) times = times.filter(at => at > nowMs).slice(0, 1);
+    times.forEach(at => {
+      const d = new Date(at);
+      out.push({ alarm, at, once, minute: d.getHours() * 60 + d.getMinutes() });
+    });
+  });
+  return out.sort((a, b) => a.at - b.at);
+}
+
+// Side-by-side lanes for blocks that would cover each other
+function layoutTimelineLanes(items, blockMinutes) {
+  let cluster = [];
+  let clusterEnd = -Infinity;
+  const laneEnds = [];
+  const flush = () => {
+    cluster.forEach(it => { it.lanes = laneEnds.length; });
+    cluster = [];
+    laneEnds.length = 0;
+  };
+  items.forEach(it => {
+    if (it.minute >= clusterEnd) flush();
+    let lane = laneEnds.findIndex(end => end <= it.minute);
+    if (lane === -1) lane = laneEnds.push(0) - 1;
+    laneEnds[lane] = it.minute + blockMinutes;
+    it.lane = lane;
+    cluster.push(it);
+    clusterEnd = Math.max(clusterEnd, it.minute + blockMinutes);
+  });
+  flush();
+}
+
+function renderTimeline() {
+  const now = new Date();
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + TIMELINE_DAYS);
+  const entries = timelineEntries(start.getTime(), end.getTime(), now.getTime());
+  const minutes = entries.map(e => e.minute);
+  const firstHour = minutes.length ? Math.floor(Math.min(...minutes) / 60) : 6;
+  const lastHour = minutes.length ? Math.floor(Math.max(...minutes) / 60) + 1 : 18;
+  const topOf = minute => Math.round((minute - firstHour * 60) / 60 * TIMELINE_HOUR_PX);
+  const height = (lastHour - firstHour) * TIMELINE_HOUR_PX + TIMELINE_BLOCK_PX;
+  const nowMinute = now.getHours() * 60 + now.getMinutes();
+
+  const hours = [];
+  for (let h = firstHour; h <= lastHour; h++) hours.push(`<span class="tl-hour" style="top:${topOf(h * 60)}px">${pad(h)}:00</span>`);
+
+  const columns = [];
+  for (let i = 0; i < TIMELINE_DAYS; i++) {
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+    const items = entries.filter(e => new Date(e.at).toDateString() === day.toDateString());
+    layoutTimelineLanes(items, TIMELINE_BLOCK_PX / TIMELINE_HOUR_PX * 60);
+    const blocks = items.map(it => {
+      // Same minute means one has to wait in the ring queue
+      const clash = items.filter(o => o !== it && o.minute === it.minute).map(o => o.alarm.name || 'Alarm');
+      const time = timeFromMs(it.at);
+      const cls = ['tl-block', `tl-${it.alarm.category === 'puasa' ? 'puasa' : 'regular'}`,
+        clash.length ? 'is-overlap' : '', it.once ? 'is-once' : '', it.at < now.getTime() ? 'is-past' : '']
+        .filter(Boolean).join(' ');
+      const title = `${time} ${it.alarm.name || 'Alarm'}${it.once ? ' · sekali saja' : ''}${clash.length ? ` · bentrok dengan ${clash.join(', ')}` : ''}`;
+      return `<button type="button" class="${cls}" data-id="${escHtml(it.alarm.id)}" title="${escHtml(title)}"
+        style="top:${topOf(it.minute)}px;left:calc(100% * ${it.lane} / ${it.lanes});width:calc(100% / ${it.lanes})">${clash.length ? '⚠ ' : ''}${it.once ? '⚡ ' : ''}${time} ${escHtml(it.alarm.name || 'Alarm')}</button>`;
+    }).join('');
+    const nowLine = i === 0 && nowMinute >= firstHour * 60 && nowMinute <= lastHour * 60
+      ? `<div class="tl-now" style="top:${topOf(nowMinute)}px"></div>` : '';
+    columns.push(`
+      <div class="tl-day${i === 0 ? ' is-today' : ''}">
+        <div class="tl-day-head">${i === 0 ? 'Hari ini' : `${DAY_SHORT[day.getDay()]} ${day.getDate()}`}</div>
+        <div class="tl-day-body" style="height:${height}px">${blocks}${nowLine}</div>
+      </div>`);
+  }
+
+  timelineEl.style.setProperty('--hour-px', `${TIMELINE_HOUR_PX}px`);
+  timelineEl.innerHTML = `
+    <div class="tl-axis"><div class="tl-day-head"></div><div class="tl-day-body" style="height:${height}px">${hours.join('')}</div></div>
+    ${columns.join('')}`;
+  timelineEmptyEl.classList.toggle('hidden', entries.length > 0);
+}
+
+function setTimelineHidden(hidden) {
+  timelineSectionEl.classList.toggle('is-collapsed', hidden);
+  btnTimelineToggle.textContent = hidden ? 'Tampilkan' : 'Sembunyikan';
+  try { localStorage.setItem(TIMELINE_HIDDEN_KEY, hidden ? '1' : ''); } catch (_) { }
+}
+
+// Called every second from the clock
+function tickOverview(now) {
+  if (now.getMinutes() !== overviewMinute) {
+    overviewMinute = now.getMinutes();
+    nextAlarm = undefined;
+    renderTimeline();
+  }
+  renderNextAlarm(now.getTime());
+}
+
+timelineEl.addEventListener('click', e => {
+  const block = e.target.closest('.tl-block');
+  if (block) requireAdmin(() => openEditModal(block.dataset.id));
+});
+btnTimelineToggle.addEventListener('click', () => setTimelineHidden(!timelineSectionEl.classList.contains('is-collapsed')));
+
+// ─── MISSED PANEL CONTROLS ───────────────────────────
+btnMissed.addEventListener('click', openMissedModal);
+btnMissedClose.addEventListener('click', closeMissedModal);
+btnMissedOk.addEventListener('click', closeMissedModal);
+btnMissedClear.addEventListener('click', () => {
+  try { localStorage.removeItem(MISSED_KEY); } catch (_) { }
+  renderMissedBadge();
+  closeMissedModal();
+  showToast('🧹 Daftar alarm terlewat dibersihkan');
+});
+missedOverlay.addEventListener('click', e => { if (e.target === missedOverlay) closeMissedModal(); });
+
+// Wake from sleep / tab back in front: check right away instead of waiting
+// for the next (possibly throttled) interval tick
+document.addEventListener('visibilitychange', () => { if (!document.hidden) updateClock(); });
+window.addEventListener('pageshow', () => updateClock());
+window.addEventListener('pagehide', () => { if (lastCheckMs && isRingLeader) persistLastCheck(); });
+
+// ─── HISTORY VIEW ────────────────────────────────────
+const EVENT_LABELS = {
+  fired: '🔔 Berbunyi',
+  dismissed: '✖ Dimatikan',
+  snoozed: '💤 Ditunda',
+  'audio-error': '⚠️ Audio gagal',
+  'fallback-beep': '📢 Beep cadangan',
+  queued: '⏳ Antre',
+  missed: '⏰ Terlewat',
+  reminded: '⏳ Pengingat',
+  skipped: '⏭ Dilewati',
+  created: '➕ Dibuat',
+  edited: '✏️ Diubah',
+  deleted: '🗑️ Dihapus',
+  restored: '♻️ Dipulihkan',
+};
+const VIA_LABELS = {
+  tick: 'jadwal',
+  sw: 'service worker',
+  snooze: 'setelah tunda',
+  late: 'terlambat',
+  queue: 'antrean',
+  overlay: 'tombol Matikan',
+  notification: 'notifikasi',
+  escape: 'tombol Escape',
+  ended: 'audio selesai',
+  timeout: 'batas durasi',
+  tab: 'tab lain',
+};
+const HISTORY_RENDER_LIMIT = 500;
+let historyRows = [];
+
+function formatEventTime(ms) {
+  const d = new Date(ms);
+  return `${AlarmSchedule.dateKey(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+async function openHistoryModal() {
+  historyOverlay.classList.remove('hidden');
+  // Alarm filter lists every alarm that ever logged an event, including deleted ones
+  let all = [];
+  try { all = await AlarmHistory.between(); } catch (err) { console.warn('history read error:', err); }
+  const names = new Map();
+  all.forEach(e => { if (e.alarmId) names.set(e.alarmId, e.alarmName); });
+  const current = historyAlarmEl.value;
+  historyAlarmEl.innerHTML = '<option value="">Semua alarm</option>' +
+    [...names].sort((a, b) => String(a[1]).localeCompare(String(b[1])))
+      .map(([id, name]) => `<option value="${escHtml(id)}">${escHtml(name || 'Alarm')}</option>`).join('');
+  historyAlarmEl.value = names.has(current) ? current : '';
+  renderHistory();
+}
+
+function closeHistoryModal() {
+  historyOverlay.classList.add('hidden');
+}
+
+async function renderHistory() {
+  const from = historyFromEl.value ? new Date(historyFromEl.value + 'T00:00:00').getTime() : 0;
+  const to = historyToEl.value ? new Date(historyToEl.value + 'T23:59:59.999').getTime() : Infinity;
+  let events = [];
+  try { events = await AlarmHistory.between(from, to); } catch (err) { console.warn('history read error:', err); }
+  historyRows = events
+    .filter(e => !historyAlarmEl.value || e.alarmId === historyAlarmEl.value)
+    .filter(e => !historyCategoryEl.value || e.category === historyCategoryEl.value)
+    .filter(e => !historyTypeEl.value || e.type === historyTypeEl.value)
+    .sort((a, b) => b.at - a.at);
+
+  historySummaryEl.textContent = `${historyRows.length} kejadian` +
+    (historyRows.length > HISTORY_RENDER_LIMIT ? ` — menampilkan ${HISTORY_RENDER_LIMIT} terbaru (CSV berisi semua)` : '');
+  historyListEl.innerHTML = historyRows.length === 0
+    ? '<div class="ex-empty">Belum ada riwayat untuk filter ini</div>'
+    : historyRows.slice(0, HISTORY_RENDER_LIMIT).map(e => `
+      <div class="history-row">
+        <span class="history-time">${formatEventTime(e.at)}</span>
+        <span class="history-type">${EVENT_LABELS[e.type] || escHtml(e.type)}</span>
+        <span class="history-name">${escHtml(e.alarmName || '-')}${e.alarmTime ? ` (${escHtml(e.alarmTime)})` : ''}</span>
+        <span class="history-detail">${escHtml([VIA_LABELS[e.via] || e.via, e.detail].filter(Boolean).join(' · '))}</span>
+      </div>`).join('');
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function exportHistoryCsv() {
+  if (historyRows.length === 0) { showToast('⚠️ Tidak ada riwayat untuk diekspor'); return; }
+  const header = ['waktu', 'kejadian', 'alarm_id', 'nama_alarm', 'jam_alarm', 'kategori', 'profil', 'melalui', 'keterangan'];
+  const lines = historyRows.map(e => [
+    formatEventTime(e.at), e.type, e.alarmId, e.alarmName, e.alarmTime, e.category,
+    (profileById(e.profileId) || {}).name || e.profileId, e.via, e.detail,
+  ].map(csvCell).join(','));
+  // BOM so Excel opens the UTF-8 (emoji, accented names) correctly
+  downloadFile(`alarmpro-riwayat-${AlarmSchedule.dateKey(new Date())}.csv`,
+    '\ufeff' + [header.join(',')].concat(lines).join('\r\n'), 'text/csv');
+}
+
+btnHistory.addEventListener('click', openHistoryModal);
+btnHistoryClose.addEventListener('click', closeHistoryModal);
+btnHistoryDone.addEventListener('click', closeHistoryModal);
+btnHistoryCsv.addEventListener('click', exportHistoryCsv);
+[historyAlarmEl, historyCategoryEl, historyTypeEl, historyFromEl, historyToEl]
+  .forEach(el => el.addEventListener('change', renderHistory));
+historyOverlay.addEventListener('click', e => { if (e.target === historyOverlay) closeHistoryModal(); });
+
+// ─── BELL GENERATOR ──────────────────────────────────
+// Builds a whole day's bells from first bell, lesson length, number of
+// lessons and breaks. The recipe is kept in settings.bellSets and every
+// alarm it made carries `bellSetId`, so a set can later be regenerated
+// (e.g. 30-minute lessons in Ramadan), shifted or removed as one.
+const GEN_DEFAULT_DAYS = [1, 2, 3, 4, 5];
+let genBreaks = [];
+
+function bellSets() {
+  return Array.isArray(settings.bellSets) ? settings.bellSets : [];
+}
+
+function bellSetById(id) {
+  return bellSets().find(s => s.id === id) || null;
+}
+
+// Copied profiles keep bellSetId, so the profile is part of the match
+function isInBellSet(alarm, set) {
+  return alarm.bellSetId === set.id && alarm.profileId === set.profileId;
+}
+
+// → { rows: [{ kind, name, minutes }], error }
+function generateBellRows(cfg) {
+  if (!/^\d{2}:\d{2}$/.test(cfg.start)) return { rows: [], error: 'Isi jam bel pertama' };
+  if (!(cfg.period >= 5 && cfg.period <= 180)) return { rows: [], error: 'Lama jam pelajaran 5–180 menit' };
+  if (!(cfg.count >= 1 && cfg.count <= 20)) return { rows: [], error: 'Jumlah jam pelajaran 1–20' };
+  const [h, m] = cfg.start.split(':').map(Number);
+  let t = h * 60 + m;
+  const rows = [];
+  let breakNo = 0;
+  for (let p = 1; p <= cfg.count; p++) {
+    rows.push({ kind: 'period', name: `Jam ke-${p}`, minutes: t });
+    t += cfg.period;
+    // A break after the last lesson would only delay "Pulang"
+    const brk = p < cfg.count && cfg.breaks.find(b => b.after === p && b.minutes > 0);
+    if (brk) {
+      breakNo++;
+      rows.push({ kind: 'break', name: `Istirahat ${breakNo}`, minutes: t });
+      t += brk.minutes;
+    }
+  }
+  if (cfg.endBell) rows.push({ kind: 'end', name: 'Pulang', minutes: t });
+  if (rows[rows.length - 1].minutes >= 24 * 60) return { rows, error: 'Jadwal melewati tengah malam' };
+  return { rows, error: null };
+}
+
+function readGeneratorForm() {
+  return {
+    name: genNameEl.value.trim() || 'Jadwal Bel',
+    start: genStartEl.value,
+    period: parseInt(genPeriodEl.value) || 0,
+    count: parseInt(genCountEl.value) || 0,
+    breaks: genBreaks.map(b => ({ ...b })),
+    endBell: genEndBellEl.checked,
+    days: [...genDayBtns].filter(b => b.classList.contains('selected')).map(b => parseInt(b.dataset.day)),
+    category: genCategoryEl.value,
+    soundId: genSoundEl.value || null,
+  };
+}
+
+function writeGeneratorForm(set) {
+  const cfg = set ? set.config : null;
+  genNameEl.value = set ? set.name : '';
+  genStartEl.value = cfg ? cfg.start : '07:00';
+  genPeriodEl.value = String(cfg ? cfg.period : 40);
+  genCountEl.value = String(cfg ? cfg.count : 8);
+  genBreaks = cfg ? cfg.breaks.map(b => ({ ...b })) : [{ after: 4, minutes: 15 }];
+  genEndBellEl.checked = cfg ? cfg.endBell : true;
+  const days = cfg ? cfg.days : GEN_DEFAULT_DAYS;
+  genDayBtns.forEach(b => b.classList.toggle('selected', days.includes(parseInt(b.dataset.day))));
+  genCategoryEl.value = cfg ? cfg.category : 'regular';
+  genSoundEl.innerHTML = librarySoundOptions(cfg ? cfg.soundId || '' : '', '— Beep —');
+  genShiftEl.value = '0';
+  const existing = !!set;
+  genExistingEl.classList.toggle('hidden', !existing);
+  btnGenSaveNew.classList.toggle('hidden', !existing);
+  renderGenBreaks();
+  renderGenPreview();
+}
+
+function renderGenBreaks() {
+  genBreakListEl.innerHTML = genBreaks.length === 0
+    ? '<div class="ex-empty">Tanpa istirahat</div>'
+    : genBreaks.map((b, i) => `
+      <div class="gen-break" data-index="${i}">
+        <span>Setelah jam ke-</span>
+        <input class="form-input" type="number" min="1" max="19" data-field="after" value="${b.after}" />
+        <span>selama</span>
+        <input class="form-input" type="number" min="1" max="120" data-field="minutes" value="${b.minutes}" />
+        <span>menit</span>
+        <button class="btn-icon-action delete" type="button" title="Hapus istirahat">✕</button>
+      </div>`).join('');
+  genBreakListEl.querySelectorAll('.gen-break').forEach(row => {
+    const i = parseInt(row.dataset.index);
+    row.querySelectorAll('input').forEach(input => input.addEventListener('input', () => {
+      genBreaks[i][input.dataset.field] = parseInt(input.value) || 0;
+      renderGenPreview();
+    }));
+    row.querySelector('button').addEventListener('click', () => {
+      genBreaks.splice(i, 1);
+      renderGenBreaks();
+      renderGenPreview();
+    });
+  });
+}
+
+function renderGenPreview() {
+  const { rows, error } = generateBellRows(readGeneratorForm());
+  genPreviewEl.innerHTML = rows.map(r => `
+    <div class="gen-row is-${r.kind}">
+      <span class="gen-time">${AlarmSchedule.minutesToHHMM(r.minutes)}</span>
+      <span>${escHtml(r.name)}</span>
+    </div>`).join('') + (error ? `<div class="gen-error">⚠️ ${escHtml(error)}</div>` : '');
+  const set = bellSetById(genSetEl.value);
+  btnGenCreate.disabled = !!error;
+  btnGenCreate.textContent = set ? `Perbarui set (${rows.length} alarm)` : `Buat ${rows.length} alarm`;
+}
+
+function openGeneratorModal() {
+  genSetEl.innerHTML = '<option value="">— Set baru —</option>' + bellSets().map(s =>
+    `<option value="${escHtml(s.id)}">${escHtml(s.name)} · ${CATEGORY_LABELS[s.config.category] || ''}</option>`).join('');
+  writeGeneratorForm(null);
+  generatorOverlay.classList.remove('hidden');
+}
+
+function closeGeneratorModal() {
+  generatorOverlay.classList.add('hidden');
+}
+
+// Replaces the set's alarms (or creates a new set) from the form. The old
+// alarms go to the trash, since edits made to single bells are lost.
+function saveBellSet(asNew) {
+  const cfg = readGeneratorForm();
+  const { rows, error } = generateBellRows(cfg);
+  if (error) { showToast(`⚠️ ${error}`); return; }
+  const existing = asNew ? null : bellSetById(genSetEl.value);
+  const owned = existing ? alarms.filter(a => isInBellSet(a, existing)) : [];
+  if (owned.length && !confirm(`Buat ulang set "${existing.name}"? ${owned.length} alarmnya diganti ${rows.length} alarm baru, `
+    + 'perubahan per alarm (nama, suara, pengingat, nonaktif) ikut hilang.\n\nAlarm lama dipindah ke sampah.')) return;
+  const before = existing && { name: existing.name, config: existing.config };
+  const set = existing || { id: uid(), profileId: viewProfileId };
+  set.name = cfg.name;
+  set.config = { ...cfg };
+  delete set.config.name;
+
+  const removedIds = trashAlarms(owned, `set "${set.name}" dibuat ulang`);
+  const created = rows.map(r => ({
+    id: uid(),
+    profileId: set.profileId,
+    name: r.name,
+    time: AlarmSchedule.minutesToHHMM(r.minutes),
+    trigger: null,
+    season: null,
+    useExceptions: null,
+    days: cfg.days.slice(),
+    category: cfg.category,
+    priority: 'normal',
+    repeat: cfg.days.length > 0,
+    enabled: true,
+    soundId: cfg.soundId,
+    soundType: cfg.soundId ? 'audio' : 'beep',
+    snoozeMinutes: DEFAULT_SNOOZE_MINUTES,
+    snoozeMax: 0,
+    snoozeCount: 0,
+    snoozeUntil: null,
+    bellSetId: set.id,
+  }));
+  alarms.push(...created);
+  settings.bellSets = existing ? bellSets() : bellSets().concat(set);
+
+  created.forEach(a => logEvent('created', a, { detail: `set "${set.name}"` }));
+  saveSettingsAndAlarms();
+  renderAlarms();
+  closeGeneratorModal();
+  if (!existing) {
+    toastWithCheck(`✅ ${created.length} alarm dibuat`, created.map(a => a.id));
+    return;
+  }
+  // Undo drops the new alarms and brings back the old ones with the old setup
+  const createdIds = new Set(created.map(a => a.id));
+  showToast(`✅ Set "${set.name}" diperbarui — ${created.length} alarm`, {
+    label: '↩️ Urungkan',
+    onClick: () => requireAdmin(() => {
+      alarms.filter(a => createdIds.has(a.id)).forEach(a => logEvent('deleted', a, { detail: `set "${before.name}" diurungkan` }));
+      alarms = alarms.filter(a => !createdIds.has(a.id));
+      const current = bellSetById(set.id);
+      if (current) Object.assign(current, before);
+      restoreFromTrash(removedIds);
+    }),
+  });
+}
+
+// Moves every alarm of the set, keeping any one-off edits made to them
+function shiftBellSet(id, minutes) {
+  const set = bellSetById(id);
+  if (!set || !minutes) return;
+  const owned = alarms.filter(a => isInBellSet(a, set));
+  if (warnMidnightShift(owned, minutes)) return;
+  if (shiftCrossesMidnight({ time: set.config.start }, minutes)) {
+    showToast(`⚠️ Tidak digeser: bel pertama set "${set.name}" akan melewati tengah malam`);
+    return;
+  }
+  const [h, m] = set.config.start.split(':').map(Number);
+  set.config.start = AlarmSchedule.minutesToHHMM(h * 60 + m + minutes);
+  owned.forEach(a => {
+    rememberRevision(a, `set "${set.name}" digeser`);
+    shiftAlarmTime(a, minutes);
+    logEvent('edited', a, { detail: `digeser ${minutes > 0 ? '+' : ''}${minutes} menit` });
+  });
+  saveSettingsAndAlarms();
+  renderAlarms();
+  closeGeneratorModal();
+  toastWithCheck(`⏩ Set "${set.name}" digeser ${minutes > 0 ? '+' : ''}${minutes} menit`,
+    alarms.filter(a => isInBellSet(a, set)).map(a => a.id));
+}
+
+function deleteBellSet(id) {
+  const set = bellSetById(id);
+  if (!set) return;
+  const owned = alarms.filter(a => isInBellSet(a, set));
+  if (!confirm(`Hapus set "${set.name}" beserta ${owned.length} alarmnya?`)) return;
+  const ids = trashAlarms(owned, `set "${set.name}" dihapus`);
+  settings.bellSets = bellSets().filter(s => s.id !== id);
+  saveSettingsAndAlarms();
+  renderAlarms();
+  closeGeneratorModal();
+  showUndoToast(`🗑️ Set "${set.name}" dihapus — alarmnya ada di sampah`, ids);
+}
+
+genSetEl.addEventListener('change', () => writeGeneratorForm(bellSetById(genSetEl.value)));
+[genNameEl, genStartEl, genPeriodEl, genCountEl, genCategoryEl].forEach(el => el.addEventListener('input', renderGenPreview));
+genEndBellEl.addEventListener('change', renderGenPreview);
+genDayBtns.forEach(btn => btn.addEventListener('click', () => btn.classList.toggle('selected')));
+btnGenAddBreak.addEventListener('click', () => {
+  const last = genBreaks[genBreaks.length - 1];
+  genBreaks.push({ after: last ? last.after + 2 : 4, minutes: 15 });
+  renderGenBreaks();
+  renderGenPreview();
+});
+btnGenShift.addEventListener('click', () => shiftBellSet(genSetEl.value, parseInt(genShiftEl.value) || 0));
+btnGenDelete.addEventListener('click', () => deleteBellSet(genSetEl.value));
+btnGenCreate.addEventListener('click', () => saveBellSet(false));
+btnGenSaveNew.addEventListener('click', () => saveBellSet(true));
+btnGenerator.addEventListener('click', () => requireAdmin(openGeneratorModal));
+btnGenClose.addEventListener('click', closeGeneratorModal);
+btnGenCancel.addEventListener('click', closeGeneratorModal);
+generatorOverlay.addEventListener('click', e => { if (e.target === generatorOverlay) closeGeneratorModal(); });
+
+// ─── PROFILES ────────────────────────────────────────
+function profileById(id) {
+  return (settings.profiles || []).find(p => p.id === id) || null;
+}
+
+function liveAlarms() {
+  return alarms.filter(a => a.profileId === liveProfileId);
+}
+
+// Older data has no profiles: wrap everything in a default "Normal" profile
+function ensureProfiles() {
+  if (!Array.isArray(settings.profiles) || settings.profiles.length === 0) {
+    settings.profiles = [{ id: AlarmSchedule.DEFAULT_PROFILE_ID, name: 'Normal', from: null, to: null }];
+  }
+  const fallback = settings.profiles[0].id;
+  alarms.forEach(a => { if (!profileById(a.profileId)) a.profileId = fallback; });
+}
+
+// Recompute which profile is live; resync the SW only when it changed
+function refreshLiveProfile() {
+  const next = AlarmSchedule.liveProfileId(new Date(), settings);
+  const id = profileById(next) ? next : settings.profiles[0].id;
+  if (id === liveProfileId) return false;
+  const first = liveProfileId === null;
+  liveProfileId = id;
+  if (!first) {
+    syncAlarmsToSW();
+    showToast(`🗂️ Profil aktif: ${profileById(id).name}`);
+  }
+  return true;
+}
+
+function switchProfile(id) {
+  settings.activeProfileId = id;
+  settings.profileSwitchedOn = AlarmSchedule.dateKey(new Date());
+  saveSettings();
+  refreshLiveProfile();
+  renderAlarms();
+}
+
+function renderProfileBar() {
+  const live = profileById(liveProfileId);
+  clockProfileEl.textContent = live ? `🗂️ ${live.name}` : '';
+  const profiles = settings.profiles || [];
+  profileBarEl.innerHTML = profiles.map(p => `
+    <button class="profile-chip${p.id === viewProfileId ? ' is-viewing' : ''}${p.id === liveProfileId ? ' is-live' : ''}"
+      type="button" data-profile-id="${escHtml(p.id)}"
+      title="${p.from ? `Otomatis ${escHtml(p.from)} s/d ${escHtml(p.to || p.from)}` : 'Tanpa jadwal otomatis'}">
+      ${escHtml(p.name)}${p.from ? ' 📅' : ''}</button>`).join('') +
+    (viewProfileId !== liveProfileId
+      ? '<button class="btn-tool" type="button" id="btnProfileActivate">⚡ Aktifkan profil ini</button>'
+      : '');
+  profileBarEl.querySelectorAll('[data-profile-id]').forEach(btn => btn.addEventListener('click', () => {
+    viewProfileId = btn.dataset.profileId;
+    renderAlarms();
+  }));
+  const activateBtn = document.getElementById('btnProfileActivate');
+  if (activateBtn) activateBtn.addEventListener('click', () => requireAdmin(() => switchProfile(viewProfileId)));
+}
+
+function renderProfileEditor() {
+  profileEditListEl.innerHTML = settings.profiles.map(p => {
+    const count = alarms.filter(a => a.profileId === p.id).length;
+    return `
+      <div class="profile-edit-row" data-profile-id="${escHtml(p.id)}">
+        <input class="form-input profile-name" type="text" maxlength="40" value="${escHtml(p.name)}" />
+        <button class="btn-icon-action delete" type="button" title="Hapus profil"
+          ${settings.profiles.length > 1 ? '' : 'disabled'}>🗑️</button>
+        <div class="form-split">
+          <input class="form-input profile-from" type="date" value="${escHtml(p.from || '')}" title="Aktif otomatis mulai" />
+          <input class="form-input profile-to" type="date" value="${escHtml(p.to || '')}" title="Sampai" />
+        </div>
+        <div class="profile-edit-meta">${count} alarm${p.id === liveProfileId ? ' · sedang aktif' : ''}</div>
+      </div>`;
+  }).join('');
+
+  profileEditListEl.querySelectorAll('.profile-edit-row').forEach(row => {
+    const profile = profileById(row.dataset.profileId);
+    const nameEl = row.querySelector('.profile-name');
+    const fromEl = row.querySelector('.profile-from');
+    const toEl = row.querySelector('.profile-to');
+    nameEl.addEventListener('change', () => {
+      profile.name = nameEl.value.trim() || profile.name;
+      onProfilesChanged();
+    });
+    [fromEl, toEl].forEach(el => el.addEventListener('change', () => {
+      profile.from = fromEl.value || null;
+      profile.to = fromEl.value ? (toEl.value && toEl.value >= fromEl.value ? toEl.value : fromEl.value) : null;
+      onProfilesChanged();
+    }));
+    row.querySelector('.delete').addEventListener('click', () => deleteProfile(profile.id));
+  });
+}
+
+function onProfilesChanged() {
+  saveSettings();
+  refreshLiveProfile();
+  renderAlarms();
+  renderProfileEditor();
+}
+
+async function deleteProfile(id) {
+  const profile = profileById(id);
+  if (!profile || settings.profiles.length < 2) return;
+  const owned = alarms.filter(a => a.profileId === id);
+  if (owned.length && !confirm(`Hapus profil "${profile.name}" beserta ${owned.length} alarmnya?`)) return;
+  // Restoring one later puts it in the profile on screen
+  trashAlarms(owned, `profil "${profile.name}" dihapus`);
+  settings.profiles = settings.profiles.filter(p => p.id !== id);
+  if (settings.bellSets) settings.bellSets = settings.bellSets.filter(s => s.profileId !== id);
+  if (settings.activeProfileId === id) settings.activeProfileId = settings.profiles[0].id;
+  if (viewProfileId === id) viewProfileId = settings.profiles[0].id;
+  saveAlarms();
+  onProfilesChanged();
+  showToast(`🗑️ Profil "${profile.name}" dihapus`);
+}
+
+btnProfileAdd.addEventListener('click', () => {
+  const name = newProfileNameEl.value.trim();
+  if (!name) { showToast('⚠️ Isi nama profil'); newProfileNameEl.focus(); return; }
+  const profile = { id: uid(), name, from: null, to: null };
+  settings.profiles.push(profile);
+  if (newProfileCopyEl.checked) {
+    // Copies share the library sounds of the originals
+    for (const src of alarms.filter(a => a.profileId === viewProfileId)) {
+      const copy = { ...src, id: uid(), profileId: profile.id, snoozeUntil: null, snoozeCount: 0, skipAt: null };
+      copy.steps = (src.steps || []).map(s => ({ ...s }));
+      alarms.push(copy);
+    }
+    saveAlarms();
+  }
+  viewProfileId = profile.id;
+  newProfileNameEl.value = '';
+  newProfileCopyEl.checked = false;
+  onProfilesChanged();
+  showToast(`✅ Profil "${name}" dibuat`);
+});
+
+function openProfileModal() {
+  newProfileNameEl.value = '';
+  newProfileCopyEl.checked = false;
+  renderProfileEditor();
+  profileOverlay.classList.remove('hidden');
+}
+
+function closeProfileModal() {
+  profileOverlay.classList.add('hidden');
+}
+
+btnProfiles.addEventListener('click', () => requireAdmin(openProfileModal));
+btnProfileClose.addEventListener('click', closeProfileModal);
+btnProfileDone.addEventListener('click', closeProfileModal);
+profileOverlay.addEventListener('click', e => { if (e.target === profileOverlay) closeProfileModal(); });
+
+// ─── BACKUP / RESTORE ────────────────────────────────
+// One JSON file holding alarms, settings and every IndexedDB audio blob an
+// alarm references (base64-encoded), so a setup can move to another PC.
+let pendingRestore = null;
+
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+function base64ToBlob(data, type) {
+  const bin = atob(data);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new Blob([bytes], { type: type || 'audio/mpeg' });
+}
+
+function downloadFile(name, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportBackup() {
+  const sounds = [];
+  for (const { blob, ...meta } of await getAllSoundsFromDB()) {
+    sounds.push({ ...meta, data: await blobToBase64(blob) });
+  }
+  const known = new Set(sounds.map(s => s.id));
+  const missing = alarms.filter(a => soundIdsOf(a).some(id => !known.has(id)));
+
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    alarms: alarms.map(({ audioDataUrl, snoozeUntil, snoozeCount, skipAt, ...rest }) => rest),
+    settings: withoutDeviceSettings(settings),
+    sounds,
+  };
+  downloadFile(`alarmpro-backup-${AlarmSchedule.dateKey(new Date())}.json`,
+    JSON.stringify(backup), 'application/json');
+  showToast(missing.length
+    ? `⚠️ Cadangan dibuat, ${missing.length} alarm merujuk audio yang tidak ada`
+    : `💾 Cadangan dibuat: ${alarms.length} alarm, ${sounds.length} suara`);
+}
+
+// Returns { backup, warnings } with invalid alarms dropped and references to
+// audio missing from the archive cleared. Throws on anything that isn't a backup.
+function validateBackup(raw) {
+  if (!raw || raw.format !== BACKUP_FORMAT) throw new Error('Bukan file cadangan AlarmPro');
+  if (raw.version > BACKUP_VERSION) throw new Error('Versi cadangan lebih baru dari aplikasi ini');
+  if (!Array.isArray(raw.alarms)) throw new Error('Daftar alarm tidak ada');
+
+  const warnings = [];
+  // v1 archives carry { key, type, name, data } per alarm; they become library
+  // sounds whose id is the old key, so alarm.audioKey maps straight across
+  const sounds = raw.version >= 2
+    ? (Array.isArray(raw.sounds) ? raw.sounds : []).filter(s => s && typeof s.id === 'string' && typeof s.data === 'string')
+    : (Array.isArray(raw.audio) ? raw.audio : []).filter(a => a && typeof a.key === 'string' && typeof a.data === 'string')
+      .map(a => ({ id: a.key, name: a.name, type: a.type, data: a.data }));
+  const soundIds = new Set(sounds.map(s => s.id));
+
+  const valid = raw.alarms.filter(a => a && typeof a.id === 'string' &&
+    (/^\d{2}:\d{2}$/.test(a.time || '') || (a.trigger && a.trigger.type === 'prayer')));
+  if (valid.length < raw.alarms.length) {
+    warnings.push(`${raw.alarms.length - valid.length} alarm rusak dilewati`);
+  }
+
+  let missingAudio = 0;
+  const alarmsOut = valid.map(src => {
+    const a = { ...src, steps: Array.isArray(src.steps) ? src.steps.map(s => ({ ...s })) : [] };
+    let lost = false;
+    for (const ref of [a, ...a.steps.filter(s => s.kind === 'clip')]) {
+      if (ref.audioKey) {
+        ref.soundId = ref.audioKey;
+        delete ref.audioKey;
+        // v1 kept the file name on the alarm / step, not with the audio
+        const sound = sounds.find(s => s.id === ref.soundId);
+        if (sound && !sound.name) sound.name = ref.audioName || ref.name;
+      }
+      if (ref === a && !a.soundId && a.audioName) lost = true;
+      delete ref.audioName;
+      delete ref.audioDataUrl;
+      if (ref.soundId && !soundIds.has(ref.soundId)) { ref.soundId = null; lost = true; }
+    }
+    if (lost) missingAudio++;
+    return a;
+  });
+  if (missingAudio) warnings.push(`${missingAudio} alarm kehilangan audio — akan memakai bunyi beep`);
+
+  const settingsIn = raw.settings && typeof raw.settings === 'object' ? raw.settings : {};
+  return { backup: { ...raw, alarms: alarmsOut, sounds, settings: settingsIn }, warnings };
+}
+
+function showRestorePreview(backup, warnings) {
+  const profiles = (backup.settings.profiles || []).length || 1;
+  const names = backup.alarms.slice(0, 30).map(a =>
+    `<div>${escHtml(a.time || AlarmSchedule.describeTrigger(a.trigger))} — ${escHtml(a.name || 'Alarm')}</div>`).join('');
+  const exported = backup.exportedAt ? new Date(backup.exportedAt).toLocaleString('id-ID') : '-';
+  restoreSummaryEl.innerHTML = `
+    <div class="form-hint">Dibuat: ${escHtml(exported)}</div>
+    <div class="restore-stats">
+      <div class="prayer-cell"><div class="prayer-cell-label">Alarm</div><div class="prayer-cell-time">${backup.alarms.length}</div></div>
+      <div class="prayer-cell"><div class="prayer-cell-label">Profil</div><div class="prayer-cell-time">${profiles}</div></div>
+      <div class="prayer-cell"><div class="prayer-cell-label">Suara</div><div class="prayer-cell-time">${backup.sounds.length}</div></div>
+    </div>
+    <div class="restore-list">${names}${backup.alarms.length > 30 ? `<div>… dan ${backup.alarms.length - 30} lainnya</div>` : ''}</div>
+    ${warnings.map(w => `<div class="restore-warn">⚠️ ${escHtml(w)}</div>`).join('')}`;
+  restoreOverlay.querySelector('input[value="merge"]').checked = true;
+  restoreOverlay.classList.remove('hidden');
+}
+
+function closeRestoreModal() {
+  restoreOverlay.classList.add('hidden');
+  pendingRestore = null;
+}
+
+async function applyRestore(backup, mode) {
+  const replacing = mode === 'replace';
+  const takenIds = new Set(replacing ? [] : alarms.map(a => a.id));
+
+  // Sounds go through addSound, so a file we already have is reused and the
+  // archive's id is mapped onto the local one
+  const soundIdMap = new Map();
+  for (const entry of backup.sounds) {
+    try {
+      const { sound } = await addSound(base64ToBlob(entry.data, entry.type), entry.name);
+      soundIdMap.set(entry.id, sound.id);
+    } catch (_) { }
+  }
+
+  // Clashing alarm ids get fresh ones
+  const imported = [];
+  for (const src of backup.alarms) {
+    const alarm = { ...src, snoozeUntil: null, snoozeCount: 0 };
+    if (takenIds.has(alarm.id)) alarm.id = uid();
+    takenIds.add(alarm.id);
+    for (const ref of [alarm, ...alarm.steps.filter(s => s.kind === 'clip')]) {
+      if (ref.soundId) ref.soundId = soundIdMap.get(ref.soundId) || null;
+    }
+    imported.push(alarm);
+  }
+
+  if (replacing) {
+    // "Ganti" clears the library too, except what the backup just brought in
+    const keep = new Set(imported.flatMap(soundIdsOf));
+    for (const sound of soundLibrary) {
+      if (!keep.has(sound.id)) { try { await deleteSoundFromDB(sound.id); } catch (_) {} }
+    }
+    await refreshSoundLibrary();
+    alarms = imported;
+    settings = withDeviceSettings(backup.settings);
+  } else {
+    // Keep local settings; bring over profiles and exception dates we don't have
+    const profileIds = new Set((settings.profiles || []).map(p => p.id));
+    settings.profiles = (settings.profiles || [])
+      .concat((backup.settings.profiles || []).filter(p => !profileIds.has(p.id)));
+    const exKeys = new Set((settings.exceptions || []).map(ex => `${ex.from}|${ex.to}|${ex.label}`));
+    settings.exceptions = (settings.exceptions || [])
+      .concat((backup.settings.exceptions || []).filter(ex => !exKeys.has(`${ex.from}|${ex.to}|${ex.label}`)));
+    if (!settings.location && backup.settings.location) settings.location = backup.settings.location;
+    alarms = alarms.concat(imported);
+  }
+
+  ensureProfiles();
+  liveProfileId = null;
+  refreshLiveProfile();
+  viewProfileId = liveProfileId;
+  saveSettingsAndAlarms();
+  renderAlarms();
+  return imported.length;
+}
+
+btnBackup.addEventListener('click', () => {
+  exportBackup().catch(err => {
+    console.warn('backup error:', err);
+    showToast('❌ Gagal membuat cadangan');
+  });
+});
+
+btnRestore.addEventListener('click', () => requireAdmin(() => restoreFileEl.click()));
+restoreFileEl.addEventListener('change', async e => {
+  const file = e.target.files[0];
+  restoreFileEl.value = '';
+  if (!file) return;
+  try {
+    const { backup, warnings } = validateBackup(JSON.parse(await file.text()));
+    pendingRestore = backup;
+    showRestorePreview(backup, warnings);
+  } catch (err) {
+    showToast(`❌ ${err instanceof SyntaxError ? 'File bukan JSON yang valid' : err.message}`);
+  }
+});
+
+btnRestoreConfirm.addEventListener('click', async () => {
+  if (!pendingRestore) return;
+  const mode = restoreOverlay.querySelector('input[name="restoreMode"]:checked').value;
+  const backup = pendingRestore;
+  closeRestoreModal();
+  try {
+    const count = await applyRestore(backup, mode);
+    toastWithCheck(`✅ ${count} alarm dipulihkan`, alarms.map(a => a.id));
+  } catch (err) {
+    console.warn('restore error:', err);
+    showToast('❌ Gagal memulihkan cadangan');
+  }
+});
+
+btnRestoreClose.addEventListener('click', closeRestoreModal);
+btnRestoreCancel.addEventListener('click', closeRestoreModal);
+restoreOverlay.addEventListener('click', e => { if (e.target === restoreOverlay) closeRestoreModal(); });
+
+// ─── LAN SYNC ────────────────────────────────────────
+// Optional: several bell PCs share one schedule through server.js on the
+// school network. Every device keeps working from its own localStorage; a
+// sync pulls the server copy, merges it with the local edits made since
+// the last sync (the "base"), pushes the result and fetches missing sounds.
+// Snooze and skip state stays on each device. Only the leading tab syncs.
+const SYNC_CONFIG_KEY = 'alarmpro_sync_v1';
+const SYNC_BASE_KEY = 'alarmpro_sync_base_v1';
+const SYNC_STATUS_KEY = 'alarmpro_sync_status';
+const SYNC_INTERVAL_MS = 30 * 1000;
+const SYNC_PUSH_DELAY_MS = 2000;
+const DEVICE_ALARM_FIELDS = ['snoozeUntil', 'snoozeCount', 'skipAt', 'audioDataUrl'];
+// The state API is readable by anyone on the LAN when no sync key is set,
+// so the PIN hash never goes to the server; nor into backups, whose
+// restore would otherwise swap in another PC's PIN or drop this one
+const DEVICE_SETTING_KEYS = ['adminPin'];
+const SYNC_STATUS_LABELS = {
+  off: '☁️ Sinkronisasi',
+  syncing: '🔄 Menyinkronkan…',
+  ok: '☁️ Tersinkron',
+  pending: '☁️ Belum terkirim',
+  offline: '📴 Offline',
+  error: '⚠️ Sinkron gagal',
+};
+
+let syncConfig = loadSyncConfig();   // { url, device, key } or null
+let syncStatus = { state: syncConfig ? 'pending' : 'off', at: null, message: '' };
+let syncRunning = null;
+let syncPushTimer = null;
+let applyingSync = false;
+
+function loadSyncConfig() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SYNC_CONFIG_KEY) || 'null');
+    return parsed && parsed.url ? parsed : null;
+  } catch (_) { return null; }
+}
+
+function loadSyncBase() {
+  try {
+    return JSON.parse(localStorage.getItem(SYNC_BASE_KEY) || 'null');
+  } catch (_) { return null; }
+}
+
+function saveSyncBase(base) {
+  try { localStorage.setItem(SYNC_BASE_KEY, JSON.stringify(base)); } catch (_) { }
+}
+
+// Key order differs between devices, so compare with sorted keys
+function stableJson(value) {
+  return JSON.stringify(value, (key, v) => v && typeof v === 'object' && !Array.isArray(v)
+    ? Object.keys(v).sort().reduce((out, k) => { out[k] = v[k]; return out; }, {})
+    : v);
+}
+
+function withoutDeviceSettings(source) {
+  const copy = { ...source };
+  DEVICE_SETTING_KEYS.forEach(key => delete copy[key]);
+  return copy;
+}
+
+// `source` with this device's own keys (the PIN) in place of its ones
+function withDeviceSettings(source) {
+  const copy = withoutDeviceSettings(source);
+  DEVICE_SETTING_KEYS.forEach(key => { if (settings[key] !== undefined) copy[key] = settings[key]; });
+  return copy;
+}
+
+function sharedState() {
+  return {
+    alarms: alarms.map(alarm => {
+      const copy = { ...alarm };
+      DEVICE_ALARM_FIELDS.forEach(f => delete copy[f]);
+      return copy;
+    }),
+    settings: withoutDeviceSettings(settings),
+  };
+}
+
+// Three-way pick for one alarm or settings key. The side that left it as in
+// the base takes the other side's version. When both changed it, the server
+// wins, except that a deletion never beats an edit.
+function mergeItem(baseItem, localItem, remoteItem) {
+  const base = stableJson(baseItem);
+  const local = stableJson(localItem);
+  const remote = stableJson(remoteItem);
+  if (local === remote || local === base) return { value: remoteItem };
+  if (remote === base) return { value: localItem };
+  return { value: remoteItem !== undefined ? remoteItem : localItem, conflict: true };
+}
+
+function mergeSynced(base, local, remote, conflicts) {
+  const byId = list => new Map((list || []).map(a => [a.id, a]));
+  const b = byId(base.alarms);
+  const l = byId(local.alarms);
+  const r = byId(remote.alarms);
+  const mergedAlarms = [];
+  for (const id of new Set([...r.keys(), ...l.keys()])) {
+    const { value, conflict } = mergeItem(b.get(id), l.get(id), r.get(id));
+    if (conflict) conflicts.push((l.get(id) || r.get(id)).name || 'Alarm');
+    if (value) mergedAlarms.push(value);
+  }
+
+  const mergedSettings = {};
+  const keys = new Set([...Object.keys(remote.settings || {}), ...Object.keys(local.settings)]);
+  for (const key of keys) {
+    if (DEVICE_SETTING_KEYS.includes(key)) continue;   // e.g. pushed by an older version
+    const { value, conflict } = mergeItem((base.settings || {})[key], local.settings[key], (remote.settings || {})[key]);
+    if (conflict) conflicts.push('Pengaturan');
+    if (value !== undefined) mergedSettings[key] = value;
+  }
+  return { alarms: mergedAlarms, settings: mergedSettings };
+}
+
+// Replace the local schedule with the merged one, keeping this device's
+// snooze/skip state and PIN. Saving here must not schedule another push.
+function applySynced(merged) {
+  const own = new Map(alarms.map(a => [a.id, a]));
+  alarms = merged.alarms.map(alarm => {
+    const out = { ...alarm };
+    const mine = own.get(alarm.id);
+    if (mine) DEVICE_ALARM_FIELDS.forEach(f => { if (mine[f] !== undefined) out[f] = mine[f]; });
+    return out;
+  });
+  settings = withDeviceSettings(merged.settings);
+  applyingSync = true;
+  try {
+    saveSettingsAndAlarms();
+  } finally {
+    applyingSync = false;
+  }
+  ensureProfiles();
+  refreshLiveProfile();
+  if (!profileById(viewProfileId)) viewProfileId = liveProfileId;
+  renderAlarms();
+}
+
+function syncUrl(route) {
+  return syncConfig.url.replace(/\/+$/, '').replace(/\/timer$/, '') + '/timer/api/' + route;
+}
+
+async function syncRequest(method, route, body, { as = 'json', headers = {} } = {}) {
+  const opts = { method, cache: 'no-store', headers: { ...headers } };
+  if (syncConfig.key) opts.headers['X-Sync-Key'] = syncConfig.key;
+  if (body instanceof Blob) {
+    opts.body = body;
+  } else if (body) {
+    opts.headers['Content-Type'] = 'application/json';
+    opts.body = JSON.stringify(body);
+  }
+  let res;
+  try {
+    res = await fetch(syncUrl(route), opts);
+  } catch (_) {
+    throw Object.assign(new Error('server tidak terjangkau'), { offline: true });
+  }
+  if (res.status === 409) return { conflict: true };
+  if (res.status === 401) throw new Error('kunci sinkronisasi salah');
+  if (!res.ok) throw new Error(`server menjawab ${res.status}`);
+  return as === 'blob' ? res.blob() : res.json();
 }
 
-function showAudioPreview(name) {
-  previewName.textContent = name;
-  uploadContent.style.display = 'none';
-  uploadPreview.classList.remove('hidden');
+function soundVersion(meta) {
+  return meta.updatedAt || meta.addedAt || 0;
 }
 
-// ─── SAVE ALARM ──────────────────────────────────────
-btnSave.addEventListener('click', async () => {
-  const time = alarmTimeEl.value.trim();
-  if (!time) {
-    alarmTimeEl.style.borderColor = '#ff5252';
-    setTimeout(() => alarmTimeEl.style.borderColor = '', 2000);
-    showToast('⚠️ Pilih waktu alarm terlebih dahulu!');
-    alarmTimeEl.focus();
+// Sounds used by the schedule that the server lacks, or has an older copy of
+async function uploadSounds(list, remoteSounds) {
+  const remote = new Map(remoteSounds.map(s => [s.id, s]));
+  for (const id of new Set(list.flatMap(soundIdsOf))) {
+    const mine = soundMeta(id);
+    const theirs = remote.get(id);
+    if (!mine || (theirs && (theirs.hash === mine.hash || soundVersion(theirs) >= soundVersion(mine)))) continue;
+    const sound = await getSoundFromDB(id);
+    if (!sound || !sound.blob) continue;
+    const { blob, ...meta } = sound;
+    await syncRequest('PUT', `sounds/${encodeURIComponent(id)}`, blob, {
+      headers: { 'X-Sound-Meta': encodeURIComponent(JSON.stringify(meta)) },
+    });
+  }
+}
+
+// Sounds used by the schedule that this device lacks, or has an older copy of
+async function downloadSounds(list, remoteSounds) {
+  const remote = new Map(remoteSounds.map(s => [s.id, s]));
+  let changed = false;
+  for (const id of new Set(list.flatMap(soundIdsOf))) {
+    const mine = soundMeta(id);
+    const theirs = remote.get(id);
+    if (!theirs || (mine && (mine.hash === theirs.hash || soundVersion(mine) >= soundVersion(theirs)))) continue;
+    const blob = await syncRequest('GET', `sounds/${encodeURIComponent(id)}`, null, { as: 'blob' });
+    await putSoundToDB({ ...theirs, blob });
+    changed = true;
+  }
+  if (changed) {
+    await refreshSoundLibrary();
+    renderAlarms();
+  }
+}
+
+function syncNow() {
+  if (!syncConfig || !isRingLeader) return Promise.resolve();
+  clearTimeout(syncPushTimer);
+  if (!syncRunning) syncRunning = runSync().finally(() => { syncRunning = null; });
+  return syncRunning;
+}
+
+async function runSync() {
+  setSyncStatus('syncing');
+  try {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const startRev = dataRev;
+      const remote = await syncRequest('GET', 'state');
+      const base = loadSyncBase() || { rev: 0, alarms: [], settings: {} };
+      const local = sharedState();
+      const conflicts = [];
+      const merged = remote.rev === base.rev ? local : mergeSynced(base, local, remote, conflicts);
+      await uploadSounds(merged.alarms, remote.sounds || []);
+      // Edited while we were talking to the server: start over with that edit
+      if (dataRev !== startRev) continue;
+
+      let rev = remote.rev;
+      if (stableJson(merged) !== stableJson({ alarms: remote.alarms, settings: remote.settings })) {
+        const pushed = await syncRequest('PUT', 'state', { baseRev: remote.rev, device: syncConfig.device, ...merged });
+        if (pushed.conflict) continue;   // another device pushed in between
+        rev = pushed.rev;
+        // Edited during the PUT: applying `merged` would wipe that edit. Keep
+        // the old base so the next round three-way merges it with what we
+        // just pushed, and pushes it.
+        if (dataRev !== startRev) continue;
+      }
+      if (stableJson(merged) !== stableJson(local)) applySynced(merged);
+      saveSyncBase({ rev, ...merged });
+      await downloadSounds(merged.alarms, remote.sounds || []);
+
+      if (conflicts.length) {
+        showToast(`⚠️ Bentrok dengan perangkat lain: ${[...new Set(conflicts)].join(', ')} — versi server dipakai`);
+      }
+      setSyncStatus('ok', `rev ${rev}` + (remote.updatedBy ? `, terakhir diubah oleh ${remote.updatedBy}` : ''));
+      return;
+    }
+    throw new Error('jadwal terus berubah, dicoba lagi nanti');
+  } catch (err) {
+    console.warn('sync error:', err);
+    setSyncStatus(err.offline ? 'offline' : 'error', err.message);
+  }
+}
+
+// Local edits go out shortly after they are saved; until then (and while
+// offline) they wait in localStorage and are merged on the next sync
+function scheduleSync() {
+  if (!syncConfig || applyingSync || !isRingLeader) return;
+  clearTimeout(syncPushTimer);
+  syncPushTimer = setTimeout(syncNow, SYNC_PUSH_DELAY_MS);
+  if (syncStatus.state === 'ok') setSyncStatus('pending');
+}
+
+// Followers show the leader's status, so it goes through localStorage too
+function setSyncStatus(state, message = '') {
+  syncStatus = { state, at: state === 'ok' ? Date.now() : syncStatus.at, message };
+  try { localStorage.setItem(SYNC_STATUS_KEY, JSON.stringify(syncStatus)); } catch (_) { }
+  renderSyncStatus();
+}
+
+function renderSyncStatus() {
+  const state = syncConfig ? syncStatus.state : 'off';
+  btnSync.textContent = SYNC_STATUS_LABELS[state];
+  btnSync.classList.toggle('is-warning', state === 'offline' || state === 'error');
+  const last = syncStatus.at ? `Terakhir sinkron ${timeFromMs(syncStatus.at)}` : 'Belum pernah sinkron';
+  btnSync.title = syncConfig ? `${last}${syncStatus.message ? ' — ' + syncStatus.message : ''}` : 'Sinkronisasi belum diatur';
+  syncStatusTextEl.textContent = syncConfig ? `${SYNC_STATUS_LABELS[state]} · ${btnSync.title}` : 'Perangkat ini belum terhubung ke server.';
+}
+
+function openSyncModal() {
+  syncUrlEl.value = syncConfig ? syncConfig.url : '';
+  syncDeviceEl.value = syncConfig ? syncConfig.device || '' : '';
+  syncKeyEl.value = syncConfig ? syncConfig.key || '' : '';
+  btnSyncDisconnect.classList.toggle('hidden', !syncConfig);
+  renderSyncStatus();
+  syncOverlay.classList.remove('hidden');
+}
+
+function closeSyncModal() {
+  syncOverlay.classList.add('hidden');
+}
+
+btnSyncSave.addEventListener('click', async () => {
+  const url = syncUrlEl.value.trim();
+  if (!/^https?:\/\/[^/]+/i.test(url)) {
+    showToast('⚠️ Isi alamat server, mis. https://192.168.1.10:8080');
     return;
   }
+  // The browser blocks http:// calls from an https:// page (except localhost)
+  if (location.protocol === 'https:' && /^http:\/\/(?!localhost[:/]|127\.0\.0\.1[:/])/i.test(url)) {
+    showToast('⚠️ Halaman ini https — jalankan server dengan --cert/--key dan pakai alamat https://');
+    return;
+  }
+  const isNewServer = !syncConfig || syncConfig.url !== url;
+  syncConfig = { url, device: syncDeviceEl.value.trim() || 'Perangkat', key: syncKeyEl.value.trim() };
+  try { localStorage.setItem(SYNC_CONFIG_KEY, JSON.stringify(syncConfig)); } catch (_) { }
+  if (isNewServer) {
+    // Joining a server that already has a schedule: take it over, or merge
+    // this device's alarms into it
+    localStorage.removeItem(SYNC_BASE_KEY);
+    try {
+      const remote = await syncRequest('GET', 'state');
+      if (remote.rev > 0 && alarms.length
+        && confirm('Server sudah punya jadwal. Ganti jadwal perangkat ini dengan jadwal server?\n\nBatal = gabungkan keduanya.')) {
+        saveSyncBase({ rev: 0, ...sharedState() });
+      }
+    } catch (_) { /* unreachable now: the regular sync will report it */ }
+  }
+  closeSyncModal();
+  await syncNow();
+  if (syncStatus.state === 'ok') showToast('☁️ Jadwal tersinkron dengan server');
+});
 
-  const selectedDays = [];
-  dayBtns.forEach(b => {
-    if (b.classList.contains('selected')) selectedDays.push(parseInt(b.dataset.day));
-  });
+btnSyncDisconnect.addEventListener('click', () => {
+  syncConfig = null;
+  localStorage.removeItem(SYNC_CONFIG_KEY);
+  localStorage.removeItem(SYNC_BASE_KEY);
+  setSyncStatus('off');
+  closeSyncModal();
+  showToast('☁️ Sinkronisasi diputus — jadwal tetap tersimpan di perangkat ini');
+});
 
-  const newId = editingId || uid();
-  let audioKey = null;
-  let audioNameVal = null;
-  if (pendingAudioFile) {
-    try { await saveAudioToDB(newId, pendingAudioFile); audioKey = newId; audioNameVal = pendingAudioName; }
-    catch (_) { showToast('❌ Gagal menyimpan audio'); return; }
-  } else if (editingId) {
-    const old = alarms.find(a => a.id === editingId);
-    if (pendingKeepExisting && old) { audioKey = old.audioKey || null; audioNameVal = old.audioName || null; }
-    else if (old && old.audioKey) { try { await deleteAudioFromDB(old.audioKey); } catch (_) {} }
+btnSync.addEventListener('click', () => requireAdmin(openSyncModal));
+btnSyncClose.addEventListener('click', closeSyncModal);
+btnSyncCancel.addEventListener('click', closeSyncModal);
+syncOverlay.addEventListener('click', e => { if (e.target === syncOverlay) closeSyncModal(); });
+
+window.addEventListener('online', () => syncNow());
+window.addEventListener('storage', e => {
+  if (e.key === SYNC_CONFIG_KEY) {
+    syncConfig = loadSyncConfig();
+    syncNow();
+  }
+  if (e.key === SYNC_STATUS_KEY && e.newValue) {
+    try { syncStatus = JSON.parse(e.newValue); } catch (_) { }
   }
+  if (e.key === SYNC_CONFIG_KEY || e.key === SYNC_STATUS_KEY) renderSyncStatus();
+});
 
-  const data = {
-    id: newId,
-    name: alarmNameEl.value.trim() || 'Alarm',
-    time,
-    days: selectedDays,
-    category: (alarmCategoryEl && alarmCategoryEl.value) || 'regular',
-    repeat: alarmRepeatEl.checked,
-    enabled: true,
-    audioKey,
-    audioDataUrl: null,
-    audioName: audioNameVal,
+// ─── REPORT MODAL ────────────────────────────────────
+// items: [{ level: 'ok'|'warn'|'error', text, detail }]
+function showReport(title, items) {
+  reportTitleEl.textContent = title;
+  reportBodyEl.innerHTML = items.map(it => `
+    <div class="report-item is-${it.level}">${escHtml(it.text)}${it.detail ? `<small>${escHtml(it.detail)}</small>` : ''}</div>`).join('');
+  reportOverlay.classList.remove('hidden');
+}
+
+function closeReportModal() {
+  reportOverlay.classList.add('hidden');
+}
+
+btnReportClose.addEventListener('click', closeReportModal);
+btnReportOk.addEventListener('click', closeReportModal);
+reportOverlay.addEventListener('click', e => { if (e.target === reportOverlay) closeReportModal(); });
+
+// ─── SCHEDULE CHECK ──────────────────────────────────
+// Looks for alarms that clash, never ring or won't behave as set up.
+// Clashes are found on real occurrences (weekdays, season, exceptions and
+// prayer times included) in the next CHECK_WINDOW_DAYS, so two alarms that
+// only meet in Ramadan show up once Ramadan is that close.
+// Issue: { level, text, detail, ids } — ids of the alarms involved.
+const CHECK_WINDOW_DAYS = 14;
+
+function isOneShot(alarm) {
+  return !(Array.isArray(alarm.days) && alarm.days.length > 0);
+}
+
+// A one-shot alarm disables itself after its first ring
+function plannedTimes(alarm, fromMs, toMs) {
+  const times = AlarmSchedule.occurrencesBetween(alarm, fromMs, toMs, settings);
+  return isOneShot(alarm) ? times.slice(0, 1) : times;
+}
+
+// One check run works out each alarm's times once
+function plannedTimesCache() {
+  const now = Date.now();
+  const to = now + CHECK_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const cache = new Map();
+  return alarm => {
+    if (!cache.has(alarm)) cache.set(alarm, plannedTimes(alarm, now, to));
+    return cache.get(alarm);
   };
+}
 
-  if (editingId) {
-    const idx = alarms.findIndex(a => a.id === editingId);
-    if (idx !== -1) alarms[idx] = data;
-    else alarms.push(data);
-    showToast('✅ Alarm diperbarui!');
-  } else {
-    alarms.push(data);
-    showToast('✅ Alarm baru berhasil disimpan!');
+function describeAt(at) {
+  const d = new Date(at);
+  return `${DAY_NAMES[d.getDay()]} ${d.getDate()} ${MONTH_NAMES[d.getMonth()]} ${timeFromMs(at)}`;
+}
+
+// Problems of `alarm` itself, plus clashes with `others` of its profile
+function alarmIssues(alarm, others, timesOf = plannedTimesCache()) {
+  const issues = [];
+  const name = `"${alarm.name || 'Alarm'}"`;
+  const now = Date.now();
+  const times = alarm.enabled ? timesOf(alarm) : [];
+
+  if (isOneShot(alarm) && alarm.repeat) {
+    issues.push({
+      level: 'warn', ids: [alarm.id],
+      text: `${name}: "Ulangi setiap minggu" aktif tetapi tidak ada hari dipilih`,
+      detail: 'Tanpa hari, alarm hanya berbunyi sekali lalu nonaktif. Pilih harinya (semua hari = setiap hari).',
+    });
+  }
+  if (alarm.enabled && isOneShot(alarm)) {
+    const today = alarmTimeOn(alarm, new Date(now));
+    const [h, m] = (today || '').split(':').map(Number);
+    if (today && new Date(now).setHours(h, m, 0, 0) <= now) {
+      issues.push({
+        level: 'warn', ids: [alarm.id],
+        text: `${name} (sekali saja) jam ${today} sudah lewat hari ini`,
+        detail: times.length ? `Alarm baru berbunyi ${describeAt(times[0])}, lalu nonaktif.` : 'Alarm tidak akan berbunyi.',
+      });
+    }
+  }
+  if (alarm.enabled && times.length === 0) {
+    issues.push({
+      level: 'warn', ids: [alarm.id],
+      text: `${name} tidak akan berbunyi dalam ${CHECK_WINDOW_DAYS} hari ke depan`,
+      detail: 'Periksa hari, musim Hijriah, kalender libur dan lokasi (untuk jam sholat).',
+    });
+  }
+  const missing = soundIdsOf(alarm).filter(id => !soundMeta(id));
+  if (missing.length) {
+    issues.push({
+      level: 'warn', ids: [alarm.id],
+      text: `${name}: ${missing.length} suara tidak ada di pustaka`,
+      detail: 'Yang berbunyi beep cadangan sampai suaranya diunggah ulang atau tersinkron.',
+    });
   }
 
-  saveAlarms();
-  renderAlarms();
-  closeModal();
-});
+  if (!times.length) return issues;
+  const mine = new Set(times);
+  for (const other of others) {
+    if (other.id === alarm.id || !other.enabled || other.profileId !== alarm.profileId) continue;
+    const theirs = timesOf(other);
+    const shared = theirs.filter(at => mine.has(at));
+    if (!shared.length) continue;
+    const duplicate = shared.length === times.length && shared.length === theirs.length;
+    // Same order the ring queue will use
+    const [first, second] = [{ alarm, dueAt: shared[0] }, { alarm: other, dueAt: shared[0] }].sort(compareQueued);
+    issues.push({
+      level: 'warn', ids: [alarm.id, other.id],
+      text: duplicate
+        ? `${name} sama persis dengan "${other.name || 'Alarm'}" (jam dan hari)`
+        : `${name} bersamaan dengan "${other.name || 'Alarm'}" ${shared.length}× dalam ${CHECK_WINDOW_DAYS} hari`,
+      detail: `Pertama ${describeAt(shared[0])}. Tidak ada yang hilang, tetapi antre: "${first.alarm.name || 'Alarm'}" berbunyi dulu, `
+        + `"${second.alarm.name || 'Alarm'}" menunggu sampai selesai.`,
+    });
+  }
+  return issues;
+}
 
-// ─── FILE UPLOAD ─────────────────────────────────────
-// Use a visible styled button + hidden file input to avoid click coverage issues
-uploadArea.addEventListener('click', (e) => {
-  // Only trigger if click is on the upload content area (not on the preview-remove button)
-  if (e.target.closest('#previewRemove')) return;
-  if (!uploadPreview.classList.contains('hidden')) return; // already have file selected
-  audioFileEl.click();
+// Every profile, each clash reported once
+function scheduleIssues() {
+  const issues = [];
+  const timesOf = plannedTimesCache();
+  alarms.forEach((alarm, i) => {
+    if (alarm.enabled) issues.push(...alarmIssues(alarm, alarms.slice(i + 1), timesOf));
+  });
+  return issues;
+}
+
+function issuesFor(ids) {
+  const wanted = new Set(ids);
+  return scheduleIssues().filter(issue => issue.ids.some(id => wanted.has(id)));
+}
+
+function showScheduleCheck() {
+  const issues = scheduleIssues();
+  const many = settings.profiles.length > 1;
+  showReport(issues.length ? `Cek jadwal — ${issues.length} catatan` : 'Cek jadwal',
+    issues.length
+      ? issues.map(issue => {
+        const profile = many && profileById(alarms.find(a => a.id === issue.ids[0]).profileId);
+        return { ...issue, text: profile ? `[${profile.name}] ${issue.text}` : issue.text };
+      })
+      : [{ level: 'ok', text: 'Tidak ada bentrok atau alarm bermasalah' }]);
+}
+
+// Toast after a bulk change; points at new problems of the alarms it touched
+function toastWithCheck(msg, ids) {
+  const count = issuesFor(ids).length;
+  if (!count) { showToast(msg); return; }
+  showToast(`${msg} · ⚠️ ${count} catatan jadwal`, { label: 'Lihat', onClick: showScheduleCheck });
+}
+
+btnScheduleCheck.addEventListener('click', showScheduleCheck);
+
+// ─── ICALENDAR (.ics) ────────────────────────────────
+// Weekday alarms become weekly RRULEs, one-shot alarms single events. Times
+// are written as floating local time, which is how the bell PC thinks anyway.
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const CATEGORY_LABELS = { regular: 'Reguler', puasa: 'Puasa' };
+
+function icsEscape(str) {
+  return String(str).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+}
+
+function icsUnescape(str) {
+  return String(str).replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+}
+
+// Lines longer than 75 octets are folded with CRLF + space (RFC 5545 §3.1)
+function icsFold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let cur = '';
+  let len = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (len + n > (out.length ? 74 : 75)) { out.push(cur); cur = ''; len = 0; }
+    cur += ch;
+    len += n;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+function icsDateTime(d) {
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}T${pad(d.getHours())}${pad(d.getMinutes())}00`;
+}
+
+// First date from today on which the alarm would ring at `time`
+function nextOccurrenceDate(alarm, time) {
+  const [h, m] = time.split(':').map(Number);
+  const now = new Date();
+  for (let i = 0; i < 8; i++) {
+    const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() + i, h, m);
+    const hasDays = Array.isArray(alarm.days) && alarm.days.length > 0;
+    if (hasDays && !alarm.days.includes(d.getDay())) continue;
+    if (!hasDays && d < now) continue;
+    return d;
+  }
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate(), h, m);
+}
+
+function buildIcs(list) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//AlarmPro//Jadwal Bel//ID', 'CALSCALE:GREGORIAN'];
+  for (const alarm of list) {
+    const time = alarmTimeOn(alarm, new Date()) || alarm.time;
+    if (!time) continue;
+    const hasDays = Array.isArray(alarm.days) && alarm.days.length > 0;
+    const start = nextOccurrenceDate(alarm, time);
+    const notes = [];
+    if (alarm.trigger) notes.push(`Mengikuti ${AlarmSchedule.describeTrigger(alarm.trigger)} (jam berubah setiap hari)`);
+    if (alarm.season) notes.push(`Periode: ${AlarmSchedule.describeSeason(alarm.season)}`);
+
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${alarm.id}@alarmpro`);
+    lines.push(`DTSTAMP:${stamp}`);
+    lines.push(`DTSTART:${icsDateTime(start)}`);
+    lines.push('DURATION:PT1M');
+    if (hasDays) lines.push(`RRULE:FREQ=WEEKLY;BYDAY=${alarm.days.slice().sort().map(d => ICS_DAYS[d]).join(',')}`);
+    lines.push(`SUMMARY:${icsEscape(alarm.name || 'Alarm')}`);
+    lines.push(`CATEGORIES:${icsEscape(CATEGORY_LABELS[alarm.category] || alarm.category || 'Reguler')}`);
+    if (notes.length) lines.push(`DESCRIPTION:${icsEscape(notes.join('\n'))}`);
+    if (!alarm.enabled) lines.push('STATUS:CANCELLED');
+    lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${icsEscape(alarm.name || 'Alarm')}`, 'TRIGGER:PT0S', 'END:VALARM');
+    for (const lead of remindersOf(alarm)) {
+      lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${icsEscape(alarm.name || 'Alarm')}`, `TRIGGER:-PT${lead}M`, 'END:VALARM');
+    }
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// Unfolds and splits into [{ name, params, value }]
+function parseIcsLines(text) {
+  const unfolded = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '');
+  return unfolded.split('\n').filter(Boolean).map(line => {
+    const colon = line.indexOf(':');
+    if (colon < 0) return null;
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    paramParts.forEach(p => { const [k, v] = p.split('='); params[k.toUpperCase()] = v; });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+  }).filter(Boolean);
+}
+
+function parseIcsDate(prop) {
+  const m = prop.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!m) return null;
+  if (!m[4]) return { allDay: true };
+  const parts = m.slice(1, 7).map(Number);
+  const date = m[7]
+    ? new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]))
+    : new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]);
+  return { allDay: false, date };
+}
+
+// Maps an RRULE onto alarm.days. Returns { days } or { error } for rules
+// the weekly model can't express, plus an optional `note` for parts dropped.
+function rruleToDays(rrule, start) {
+  const rule = {};
+  rrule.split(';').forEach(p => { const [k, v] = p.split('='); rule[k.toUpperCase()] = (v || '').toUpperCase(); });
+  if (rule.INTERVAL && rule.INTERVAL !== '1') return { error: `INTERVAL=${rule.INTERVAL} (tidak setiap minggu/hari)` };
+  for (const k of ['BYMONTH', 'BYMONTHDAY', 'BYYEARDAY', 'BYWEEKNO', 'BYSETPOS']) {
+    if (rule[k]) return { error: `${k} tidak didukung` };
+  }
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',') : null;
+  if (byDay && byDay.some(d => !ICS_DAYS.includes(d))) return { error: `BYDAY=${rule.BYDAY} (hari ke-n dalam bulan)` };
+
+  let days;
+  if (rule.FREQ === 'WEEKLY') days = byDay ? byDay.map(d => ICS_DAYS.indexOf(d)) : [start.getDay()];
+  else if (rule.FREQ === 'DAILY') days = byDay ? byDay.map(d => ICS_DAYS.indexOf(d)) : [0, 1, 2, 3, 4, 5, 6];
+  else return { error: `FREQ=${rule.FREQ || '?'} tidak didukung` };
+
+  const note = rule.UNTIL || rule.COUNT ? 'Batas akhir (UNTIL/COUNT) diabaikan — alarm berulang terus' : null;
+  return { days: [...new Set(days)].sort(), note };
+}
+
+function importIcs(text) {
+  const report = [];
+  const events = [];
+  let event = null;
+  for (const prop of parseIcsLines(text)) {
+    const value = prop.value.toUpperCase();
+    if (prop.name === 'BEGIN' && value === 'VEVENT') { event = { props: {}, depth: 0 }; continue; }
+    if (!event) continue;
+    if (prop.name === 'END' && value === 'VEVENT') { events.push(event); event = null; continue; }
+    if (prop.name === 'BEGIN') { event.depth++; continue; }
+    if (prop.name === 'END') { event.depth--; continue; }
+    // Properties of nested components (VALARM) must not shadow the event's own
+    if (event.depth === 0 && !event.props[prop.name]) event.props[prop.name] = prop;
+  }
+
+  const now = new Date();
+  const created = [];
+  for (const ev of events) {
+    const p = ev.props;
+    const name = p.SUMMARY ? icsUnescape(p.SUMMARY.value).slice(0, 50) : 'Alarm';
+    const start = p.DTSTART && parseIcsDate(p.DTSTART);
+    if (!start) { report.push({ level: 'error', text: name, detail: 'DTSTART tidak ada / tidak valid — dilewati' }); continue; }
+    if (start.allDay) { report.push({ level: 'error', text: name, detail: 'Acara seharian tanpa jam — dilewati' }); continue; }
+
+    let days = [];
+    let enabled = !p.STATUS || p.STATUS.value.toUpperCase() !== 'CANCELLED';
+    const notes = [];
+    if (p.RRULE) {
+      const mapped = rruleToDays(p.RRULE.value, start.date);
+      if (mapped.error) { report.push({ level: 'error', text: name, detail: `Aturan ulang tidak bisa dipakai: ${mapped.error}` }); continue; }
+      days = mapped.days;
+      if (mapped.note) notes.push(mapped.note);
+    } else if (start.date < now) {
+      enabled = false;
+      notes.push('Acara sekali yang sudah lewat — diimpor dalam keadaan nonaktif');
+    } else if (AlarmSchedule.dateKey(start.date) !== AlarmSchedule.dateKey(now)) {
+      notes.push(`Tanggal ${AlarmSchedule.dateKey(start.date)} tidak disimpan — alarm sekali berbunyi pada jam berikutnya`);
+    }
+    if (p.EXDATE || p.RDATE) notes.push('EXDATE/RDATE diabaikan — gunakan Kalender Libur');
+    if (p.DTSTART.params.TZID) notes.push(`Zona ${p.DTSTART.params.TZID} dianggap sama dengan jam perangkat`);
+
+    const cats = p.CATEGORIES ? icsUnescape(p.CATEGORIES.value).toLowerCase() : '';
+    created.push({
+      id: uid(),
+      profileId: viewProfileId,
+      name,
+      time: `${pad(start.date.getHours())}:${pad(start.date.getMinutes())}`,
+      trigger: null,
+      season: null,
+      useExceptions: null,
+      days,
+      category: cats.includes('puasa') ? 'puasa' : 'regular',
+      repeat: days.length > 0,
+      enabled,
+      soundId: null,
+      snoozeMinutes: DEFAULT_SNOOZE_MINUTES,
+      snoozeMax: DEFAULT_SNOOZE_MAX,
+      snoozeCount: 0,
+      snoozeUntil: null,
+    });
+    report.push({ level: notes.length ? 'warn' : 'ok', text: `${name} — ${created[created.length - 1].time}`, detail: notes.join(' · ') });
+  }
+  return { created, report };
+}
+
+btnIcsExport.addEventListener('click', () => {
+  const list = alarms.filter(a => a.profileId === viewProfileId);
+  if (list.length === 0) { showToast('⚠️ Tidak ada alarm untuk diekspor'); return; }
+  const profile = profileById(viewProfileId);
+  const slug = (profile ? profile.name : 'jadwal').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  downloadFile(`alarmpro-${slug}.ics`, buildIcs(list), 'text/calendar');
+  showToast(`📤 ${list.length} alarm diekspor ke .ics`);
 });
 
-audioFileEl.addEventListener('change', e => {
+btnIcsImport.addEventListener('click', () => requireAdmin(() => icsFileEl.click()));
+icsFileEl.addEventListener('change', async e => {
   const file = e.target.files[0];
-  if (file) processAudioFile(file);
+  icsFileEl.value = '';
+  if (!file) return;
+  const text = await file.text();
+  if (!/BEGIN:VCALENDAR/i.test(text)) { showToast('❌ Bukan file iCalendar (.ics)'); return; }
+  const { created, report } = importIcs(text);
+  if (created.length) {
+    alarms = alarms.concat(created);
+    saveAlarms();
+    renderAlarms();
+  }
+  const skipped = report.filter(r => r.level === 'error').length;
+  // Clashes with what was already there show up in the same report
+  const issues = issuesFor(created.map(a => a.id));
+  showReport(`Impor .ics — ${created.length} alarm dibuat${skipped ? `, ${skipped} dilewati` : ''}${issues.length ? `, ${issues.length} catatan jadwal` : ''}`,
+    report.length ? report.concat(issues) : [{ level: 'warn', text: 'Tidak ada acara (VEVENT) di file ini' }]);
 });
 
-uploadArea.addEventListener('dragover', e => { e.preventDefault(); uploadArea.classList.add('drag-over'); });
-uploadArea.addEventListener('dragleave', () => uploadArea.classList.remove('drag-over'));
-uploadArea.addEventListener('drop', e => {
-  e.preventDefault();
-  uploadArea.classList.remove('drag-over');
-  const file = e.dataTransfer.files[0];
-  if (file) processAudioFile(file);
+// ─── EXCEPTION CALENDAR ──────────────────────────────
+function renderExceptionList() {
+  const list = (settings.exceptions || []).slice().sort((a, b) => a.from.localeCompare(b.from));
+  const today = AlarmSchedule.dateKey(new Date());
+  if (list.length === 0) {
+    exListEl.innerHTML = '<div class="ex-empty">Belum ada tanggal pengecualian</div>';
+    return;
+  }
+  exListEl.innerHTML = list.map(ex => `
+    <div class="ex-item${(ex.to || ex.from) < today ? ' is-past' : ''}">
+      <div>
+        <div class="ex-item-label">${escHtml(ex.label || 'Pengecualian')}</div>
+        <div class="ex-item-meta">${escHtml(ex.from)}${ex.to && ex.to !== ex.from ? ' s/d ' + escHtml(ex.to) : ''}
+          · ${escHtml(AlarmSchedule.describeException(ex))}</div>
+      </div>
+      <button class="btn-icon-action delete" type="button" data-ex-id="${escHtml(ex.id)}" title="Hapus">🗑️</button>
+    </div>`).join('');
+  exListEl.querySelectorAll('[data-ex-id]').forEach(btn => btn.addEventListener('click', () => {
+    settings.exceptions = (settings.exceptions || []).filter(ex => ex.id !== btn.dataset.exId);
+    saveSettings();
+    renderExceptionList();
+    renderAlarms();
+  }));
+}
+
+function openHolidayModal() {
+  const cats = settings.exceptionCategories || {};
+  exCatRegularEl.checked = !!cats.regular;
+  exCatPuasaEl.checked = !!cats.puasa;
+  exLabelEl.value = '';
+  exFromEl.value = '';
+  exToEl.value = '';
+  exActionEl.value = 'skip';
+  exTimeEl.value = '';
+  exShiftEl.value = '';
+  updateExActionFields();
+  renderExceptionList();
+  holidayOverlay.classList.remove('hidden');
+}
+
+function closeHolidayModal() {
+  holidayOverlay.classList.add('hidden');
+}
+
+// Accepts YYYY-MM-DD or DD/MM/YYYY (as typed in Indonesian spreadsheets)
+function normalizeDate(str) {
+  const s = String(str || '').trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) return `${m[1]}-${pad(m[2])}-${pad(m[3])}`;
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (m) return `${m[3]}-${pad(m[2])}-${pad(m[1])}`;
+  return null;
+}
+
+function normalizeException(raw) {
+  const from = normalizeDate(raw.from || raw.date || raw.start);
+  if (!from) return null;
+  let to = normalizeDate(raw.to || raw.end) || from;
+  if (to < from) to = from;
+  const time = /^\d{1,2}:\d{2}$/.test(String(raw.time || '').trim())
+    ? String(raw.time).trim().padStart(5, '0') : null;
+  // "+60" / "-30" in the time column (or a `shift`/`geser` field) moves each
+  // alarm by that many minutes instead of giving them all one time
+  const shiftRaw = raw.shift !== undefined ? raw.shift : raw.geser !== undefined ? raw.geser : raw.time;
+  const shift = !time && /^[+-]?\d{1,4}$/.test(String(shiftRaw === undefined || shiftRaw === null ? '' : shiftRaw).trim())
+    ? parseInt(shiftRaw, 10) : 0;
+  return {
+    id: uid(),
+    label: String(raw.label || raw.name || raw.keterangan || '').trim().slice(0, 60),
+    from,
+    to,
+    action: time ? 'override' : shift ? 'shift' : 'skip',
+    time,
+    shift: shift || null,
+  };
+}
+
+function parseExceptionFile(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    const parsed = JSON.parse(trimmed);
+    const list = Array.isArray(parsed) ? parsed : parsed.exceptions || [];
+    return list.map(normalizeException).filter(Boolean);
+  }
+  // CSV: from[,to],label[,time or ±minutes] — `to` may be omitted for single
+  // days, and rows whose first cell isn't a date (e.g. a header) are skipped
+  return trimmed.split(/\r?\n/).map(line => {
+    const cells = line.split(/[;,]/).map(c => c.trim().replace(/^"|"$/g, ''));
+    if (!normalizeDate(cells[0])) return null;
+    const hasTo = !!normalizeDate(cells[1]);
+    return normalizeException({
+      from: cells[0],
+      to: hasTo ? cells[1] : null,
+      label: cells[hasTo ? 2 : 1],
+      time: cells[hasTo ? 3 : 2],
+    });
+  }).filter(Boolean);
+}
+
+function addExceptions(list) {
+  const existing = settings.exceptions || [];
+  const seen = new Set(existing.map(ex => `${ex.from}|${ex.to}|${ex.label}`));
+  const fresh = list.filter(ex => !seen.has(`${ex.from}|${ex.to}|${ex.label}`));
+  settings.exceptions = existing.concat(fresh);
+  saveSettings();
+  renderExceptionList();
+  renderAlarms();
+  return fresh.length;
+}
+
+// A shift that pushes an alarm past midnight drops that day's ring
+// (see resolveAlarmTime). → text naming the alarms that go quiet, or ''
+function pastMidnightNote(list) {
+  const quiet = new Set();
+  list.filter(ex => ex.action === 'shift').forEach(ex => {
+    alarms.filter(a => a.enabled && AlarmSchedule.usesExceptions(a, settings) && shiftCrossesMidnight(a, Number(ex.shift)))
+      .forEach(a => quiet.add(a));
+  });
+  if (!quiet.size) return '';
+  const names = [...quiet].slice(0, 3).map(a => `${a.name || 'Alarm'} (${a.time})`).join(', ');
+  const more = quiet.size > 3 ? ` dan ${quiet.size - 3} lainnya` : '';
+  return `${names}${more} tidak berbunyi hari itu: digeser melewati tengah malam`;
+}
+
+function updateExActionFields() {
+  exTimeEl.classList.toggle('hidden', exActionEl.value !== 'override');
+  exShiftEl.classList.toggle('hidden', exActionEl.value !== 'shift');
+}
+
+exActionEl.addEventListener('change', updateExActionFields);
+
+btnExAdd.addEventListener('click', () => {
+  if (!exFromEl.value) { showToast('⚠️ Pilih tanggal mulai'); return; }
+  if (exActionEl.value === 'override' && !exTimeEl.value) { showToast('⚠️ Isi jam pengganti'); return; }
+  if (exActionEl.value === 'shift' && !parseInt(exShiftEl.value)) { showToast('⚠️ Isi jumlah menit, mis. 60 atau -30'); return; }
+  const ex = normalizeException({
+    from: exFromEl.value,
+    to: exToEl.value,
+    label: exLabelEl.value,
+    time: exActionEl.value === 'override' ? exTimeEl.value : null,
+    shift: exActionEl.value === 'shift' ? exShiftEl.value : null,
+  });
+  addExceptions([ex]);
+  const note = pastMidnightNote([ex]);
+  if (note) showToast(`⚠️ ${note}`);
+  exLabelEl.value = '';
+  exFromEl.value = '';
+  exToEl.value = '';
 });
 
-previewRemove.addEventListener('click', e => {
-  e.stopPropagation();
-  clearPendingAudio();
+btnExImport.addEventListener('click', () => exImportFileEl.click());
+exImportFileEl.addEventListener('change', async e => {
+  const file = e.target.files[0];
+  exImportFileEl.value = '';
+  if (!file) return;
+  try {
+    const list = parseExceptionFile(await file.text());
+    if (list.length === 0) { showToast('⚠️ Tidak ada tanggal valid di file'); return; }
+    const added = addExceptions(list);
+    const note = pastMidnightNote(list);
+    showToast(`📥 ${added} tanggal diimpor${added < list.length ? ` (${list.length - added} duplikat dilewati)` : ''}`
+      + (note ? ` · ⚠️ ${note}` : ''));
+  } catch (err) {
+    console.warn('exception import error:', err);
+    showToast('❌ File tidak bisa dibaca (format CSV/JSON tidak valid)');
+  }
 });
 
-function processAudioFile(file) {
-  if (!file.type.startsWith('audio/')) { showToast('❌ File harus berupa audio (MP3, WAV, OGG, M4A)'); return; }
-  if (file.size > MAX_FILE_BYTES) { showToast('❌ Ukuran file max 20MB'); return; }
-  pendingAudioFile = file;
-  pendingAudioDataUrl = null;
-  pendingAudioName = file.name;
-  pendingKeepExisting = false;
-  showAudioPreview(file.name);
-  showToast(`✅ Audio siap: ${file.name}`);
-}
+[exCatRegularEl, exCatPuasaEl].forEach(el => el.addEventListener('change', () => {
+  settings.exceptionCategories = { regular: exCatRegularEl.checked, puasa: exCatPuasaEl.checked };
+  saveSettings();
+  renderAlarms();
+}));
+
+btnHolidays.addEventListener('click', () => requireAdmin(openHolidayModal));
+btnHolidayClose.addEventListener('click', closeHolidayModal);
+btnHolidayDone.addEventListener('click', closeHolidayModal);
+holidayOverlay.addEventListener('click', e => { if (e.target === holidayOverlay) closeHolidayModal(); });
 
 // ─── DAY BUTTONS ─────────────────────────────────────
 dayBtns.forEach(btn => btn.addEventListener('click', () => btn.classList.toggle('selected')));
+leadBtns.forEach(btn => btn.addEventListener('click', () => btn.classList.toggle('selected')));
 
 // ─── RINGING CONTROLS ────────────────────────────────
-btnDismiss.addEventListener('click', dismissAlarm);
+btnDismiss.addEventListener('click', () => dismissAlarm('overlay'));
+btnSnooze.addEventListener('click', () => snoozeAlarm());
 
 // ─── MODAL CONTROLS ──────────────────────────────────
-if (btnAddAlarmRegular) btnAddAlarmRegular.addEventListener('click', () => openAddModal('regular'));
-if (btnAddAlarmPuasa) btnAddAlarmPuasa.addEventListener('click', () => openAddModal('puasa'));
+if (btnAddAlarmRegular) btnAddAlarmRegular.addEventListener('click', () => requireAdmin(() => openAddModal('regular')));
+if (btnAddAlarmPuasa) btnAddAlarmPuasa.addEventListener('click', () => requireAdmin(() => openAddModal('puasa')));
 btnModalClose.addEventListener('click', closeModal);
 btnCancel.addEventListener('click', closeModal);
 modalOverlay.addEventListener('click', e => { if (e.target === modalOverlay) closeModal(); });
 document.addEventListener('keydown', e => {
-  if (e.key === 'Escape') { closeModal(); dismissAlarm(); }
+  if (e.key === 'Escape') { closeModal(); closeSettingsModal(); closeHolidayModal(); closeProfileModal(); closeRestoreModal(); closeReportModal(); closeMissedModal(); closeHistoryModal(); closeLibraryModal(); closeSyncModal(); closeGeneratorModal(); closeTrashModal(); closePinModal(); dismissAlarm('escape'); }
 });
 
 // ─── TOAST ───────────────────────────────────────────
-function showToast(msg) {
+// `action` ({ label, onClick }) adds a button, e.g. "Urungkan"
+function showToast(msg, action) {
   // Remove existing toasts
   document.querySelectorAll('.ag-toast').forEach(t => t.remove());
 
   const t = document.createElement('div');
   t.className = 'ag-toast';
   t.textContent = msg;
+  if (action) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = action.label;
+    btn.style.cssText = `
+      margin-left:12px;background:none;border:none;color:#8f88ff;
+      font:inherit;font-weight:700;cursor:pointer;padding:0;
+    `;
+    btn.addEventListener('click', () => { t.remove(); action.onClick(); });
+    t.appendChild(btn);
+  }
   t.style.cssText = `
     position:fixed;bottom:28px;right:28px;z-index:9999;
     background:#1a1d2e;border:1px solid rgba(108,99,255,0.35);
@@ -611,12 +5120,35 @@ function showToast(msg) {
     document.head.appendChild(s);
   }
   document.body.appendChild(t);
-  setTimeout(() => { t.style.opacity = '0'; t.style.transition = 'opacity .3s'; setTimeout(() => t.remove(), 350); }, 3000);
+  setTimeout(() => { t.style.opacity = '0'; t.style.transition = 'opacity .3s'; setTimeout(() => t.remove(), 350); }, action ? 6000 : 3000);
 }
 
 // ─── INIT ─────────────────────────────────────────────
+settings = loadSettings();
+fillMethodOptions();
+fillSeasonOptions();
 alarms = loadAlarms().map(a => ({ ...a, category: a.category || 'regular' }));
+dataRev = loadRev();
+ensureProfiles();
+refreshLiveProfile();
+viewProfileId = liveProfileId;
+lastCheckMs = loadLastCheck();
 renderAlarms();
+renderMissedBadge();
+AlarmHistory.prune().catch(err => console.warn('history prune error:', err));
+purgeExpiredTrash().catch(err => console.warn('trash purge error:', err));
+// Cards show sound names from the library, so render again once it's loaded
+refreshSoundLibrary()
+  .then(migrateAudioToLibrary)
+  .then(renderAlarms)
+  .catch(err => console.warn('sound library init error:', err));
+startLeaderElection();
+renderAdminLock();
+if (localStorage.getItem(KIOSK_KEY)) setKiosk(true);
+setTimelineHidden(!!localStorage.getItem(TIMELINE_HIDDEN_KEY));
+renderSyncStatus();
+syncNow();
+setInterval(syncNow, SYNC_INTERVAL_MS);
 updateClock();
 setInterval(updateClock, 1000);
 
@@ -631,23 +5163,65 @@ if ('serviceWorker' in navigator) {
   });
 }
 
+// v1 kept one blob per alarm in 'audio'; v2 adds the shared 'sounds'
+// library. 'audio' stays only so migrateAudioToLibrary() can empty it.
 function openAudioDB() {
   return new Promise((resolve, reject) => {
-    const req = indexedDB.open('alarmpro_audio', 1);
+    const req = indexedDB.open('alarmpro_audio', 2);
     req.onupgradeneeded = e => {
       const db = e.target.result;
       if (!db.objectStoreNames.contains('audio')) db.createObjectStore('audio');
+      if (!db.objectStoreNames.contains('sounds')) {
+        db.createObjectStore('sounds', { keyPath: 'id' }).createIndex('hash', 'hash');
+      }
     };
     req.onsuccess = e => resolve(e.target.result);
     req.onerror = () => reject(req.error);
   });
 }
 
-async function saveAudioToDB(key, file) {
+async function putSoundToDB(sound) {
   const db = await openAudioDB();
   return new Promise((resolve, reject) => {
-    const tx = db.transaction('audio', 'readwrite');
-    tx.objectStore('audio').put(file, key);
+    const tx = db.transaction('sounds', 'readwrite');
+    tx.objectStore('sounds').put(sound);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function getSoundFromDB(id) {
+  const db = await openAudioDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('sounds', 'readonly').objectStore('sounds').get(id);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function findSoundByHash(hash) {
+  const db = await openAudioDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('sounds', 'readonly').objectStore('sounds').index('hash').get(hash);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function getAllSoundsFromDB() {
+  const db = await openAudioDB();
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('sounds', 'readonly').objectStore('sounds').getAll();
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function deleteSoundFromDB(id) {
+  const db = await openAudioDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('sounds', 'readwrite');
+    tx.objectStore('sounds').delete(id);
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
   });
@@ -672,3 +5246,9 @@ async function deleteAudioFromDB(key) {
     tx.onerror = () => reject(tx.error);
   });
 }
+
+// ─── EVENT HISTORY ───────────────────────────────────
+// Stored by history.js, which the SW writes to as well
+function logEvent(type, alarm, extra = {}) {
+  AlarmHistory.add(type, alarm, extra, settings);
+}
@@ -0,0 +1,96 @@
+/* =====================================================
+   ALARM PRO — history.js
+   The event log shared by the page (app.js) and the
+   service worker (sw.js, via importScripts), so a bell
+   the SW rang with no page open is on record as well.
+   Needs schedule.js. No DOM access in here.
+   ===================================================== */
+
+'use strict';
+
+const AlarmHistory = (() => {
+  // Separate database from the audio store so the log can be cleared or
+  // migrated without touching sound files.
+  const RETENTION_MS = 400 * 24 * 60 * 60 * 1000;
+  let dbPromise = null;
+
+  function open() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open('alarmpro_history', 1);
+      req.onupgradeneeded = e => {
+        const db = e.target.result;
+        if (!db.objectStoreNames.contains('events')) {
+          const store = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+          store.createIndex('at', 'at');
+        }
+      };
+      req.onsuccess = e => resolve(e.target.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+    return dbPromise;
+  }
+
+  // `settings` resolves the time of prayer-linked alarms
+  function entryFor(type, alarm, extra, settings) {
+    const { audioDataUrl, ...snapshot } = alarm || {};
+    return {
+      at: Date.now(),
+      type,
+      alarmId: snapshot.id || null,
+      alarmName: snapshot.name || null,
+      alarmTime: alarm ? AlarmSchedule.resolveAlarmTime(snapshot, new Date(), settings) || snapshot.time || null : null,
+      category: snapshot.category || null,
+      profileId: snapshot.profileId || null,
+      via: extra.via || null,
+      detail: extra.detail || null,
+      snapshot: alarm ? snapshot : null,
+    };
+  }
+
+  // Never rejects: a failing log must never get in the way of the bell.
+  // Resolves once written, so the SW can keep itself alive until then.
+  function add(type, alarm, extra = {}, settings = {}) {
+    const at = Date.now();
+    return open().then(db => new Promise((resolve, reject) => {
+      const entry = { ...entryFor(type, alarm, extra, settings), at };
+      const tx = db.transaction('events', 'readwrite');
+      tx.objectStore('events').add(entry);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    })).catch(err => console.warn('history write error:', err));
+  }
+
+  async function between(fromMs = 0, toMs = Infinity) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('events', 'readonly');
+      const range = IDBKeyRange.bound(fromMs, isFinite(toMs) ? toMs : Number.MAX_SAFE_INTEGER);
+      const req = tx.objectStore('events').index('at').getAll(range);
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function prune() {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('events', 'readwrite');
+      const range = IDBKeyRange.upperBound(Date.now() - RETENTION_MS);
+      const req = tx.objectStore('events').index('at').openCursor(range);
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (cursor) { cursor.delete(); cursor.continue(); }
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  return {
+    RETENTION_MS,
+    add,
+    between,
+    prune,
+  };
+})();
@@ -0,0 +1,406 @@
+/* =====================================================
+   ALARM PRO — schedule.js
+   Offline scheduling maths shared by the page (app.js)
+   and the service worker (sw.js, via importScripts).
+   No DOM access in here — it must run in both.
+   ===================================================== */
+
+'use strict';
+
+const AlarmSchedule = (() => {
+
+  // ─── PRAYER TIME METHODS ───────────────────────────
+  // fajr/isha: sun depression angles in degrees.
+  // ishaMinutes: fixed interval after maghrib instead of an angle.
+  // ihtiyat: safety margin in minutes added to every time (subtracted from terbit).
+  const METHODS = {
+    kemenag: { name: 'Kemenag RI', fajr: 20, isha: 18, ihtiyat: 2 },
+    mwl: { name: 'Muslim World League', fajr: 18, isha: 17, ihtiyat: 0 },
+    isna: { name: 'ISNA (Amerika Utara)', fajr: 15, isha: 15, ihtiyat: 0 },
+    egypt: { name: 'Mesir', fajr: 19.5, isha: 17.5, ihtiyat: 0 },
+    makkah: { name: 'Umm al-Qura (Makkah)', fajr: 18.5, ishaMinutes: 90, ihtiyat: 0 },
+    jakim: { name: 'JAKIM (Malaysia)', fajr: 20, isha: 18, ihtiyat: 1 },
+    muis: { name: 'MUIS (Singapura)', fajr: 20, isha: 18, ihtiyat: 1 },
+  };
+
+  // Imsak is a fixed interval before subuh, as published by Kemenag
+  const IMSAK_MINUTES = 10;
+
+  const PRAYER_EVENTS = {
+    imsak: 'Imsak',
+    subuh: 'Subuh',
+    terbit: 'Terbit',
+    dzuhur: 'Dzuhur',
+    ashar: 'Ashar',
+    maghrib: 'Maghrib',
+    isya: 'Isya',
+  };
+
+  // ─── ANGLE HELPERS ─────────────────────────────────
+  const rad = d => d * Math.PI / 180;
+  const deg = r => r * 180 / Math.PI;
+  const sin = d => Math.sin(rad(d));
+  const cos = d => Math.cos(rad(d));
+  const tan = d => Math.tan(rad(d));
+  const arcsin = x => deg(Math.asin(x));
+  const arccos = x => deg(Math.acos(x));
+  const arctan2 = (y, x) => deg(Math.atan2(y, x));
+  const arccot = x => deg(Math.atan(1 / x));
+  const fix = (a, b) => { a = a - b * Math.floor(a / b); return a < 0 ? a + b : a; };
+  const fixAngle = a => fix(a, 360);
+  const fixHour = a => fix(a, 24);
+
+  function pad(n) { return String(n).padStart(2, '0'); }
+
+  function julian(year, month, day) {
+    if (month <= 2) { year -= 1; month += 12; }
+    const A = Math.floor(year / 100);
+    const B = 2 - A + Math.floor(A / 4);
+    return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + B - 1524.5;
+  }
+
+  function sunPosition(jd) {
+    const D = jd - 2451545.0;
+    const g = fixAngle(357.529 + 0.98560028 * D);
+    const q = fixAngle(280.459 + 0.98564736 * D);
+    const L = fixAngle(q + 1.915 * sin(g) + 0.020 * sin(2 * g));
+    const e = 23.439 - 0.00000036 * D;
+    const RA = arctan2(cos(e) * sin(L), cos(L)) / 15;
+    return {
+      declination: arcsin(sin(e) * sin(L)),
+      equation: q / 15 - fixHour(RA),
+    };
+  }
+
+  // ─── PRAYER TIMES ──────────────────────────────────
+  // Returns { imsak, subuh, terbit, dzuhur, ashar, maghrib, isya } as
+  // minutes after local midnight, or null if the location is incomplete.
+  let cacheKey = null;
+  let cacheValue = null;
+
+  function prayerTimes(date, location) {
+    if (!location || !isFinite(location.lat) || !isFinite(location.lng) || !isFinite(location.tz)) return null;
+    const method = METHODS[location.method] || METHODS.kemenag;
+    const ihtiyat = isFinite(location.ihtiyat) ? location.ihtiyat : method.ihtiyat;
+    const key = [date.getFullYear(), date.getMonth(), date.getDate(),
+      location.lat, location.lng, location.tz, location.method, ihtiyat].join('|');
+    if (key === cacheKey) return cacheValue;
+
+    const lat = Number(location.lat);
+    const lng = Number(location.lng);
+    const jd = julian(date.getFullYear(), date.getMonth() + 1, date.getDate()) - lng / (15 * 24);
+
+    const midDay = t => fixHour(12 - sunPosition(jd + t).equation);
+    const sunAngleTime = (angle, t, ccw) => {
+      const decl = sunPosition(jd + t).declination;
+      const T = arccos((-sin(angle) - sin(decl) * sin(lat)) / (cos(decl) * cos(lat))) / 15;
+      return midDay(t) + (ccw ? -T : T);
+    };
+    const asrTime = (factor, t) => {
+      const decl = sunPosition(jd + t).declination;
+      return sunAngleTime(-arccot(factor + tan(Math.abs(lat - decl))), t);
+    };
+
+    // Initial guesses as day portions, per the standard single-pass method
+    const raw = {
+      subuh: sunAngleTime(method.fajr, 5 / 24, true),
+      terbit: sunAngleTime(0.833, 6 / 24, true),
+      dzuhur: midDay(12 / 24),
+      ashar: asrTime(1, 13 / 24),
+      maghrib: sunAngleTime(0.833, 18 / 24),
+      isya: method.ishaMinutes ? null : sunAngleTime(method.isha, 18 / 24),
+    };
+
+    const shift = Number(location.tz) - lng / 15;
+    const toMinutes = h => (isFinite(h) ? Math.round(fixHour(h + shift) * 60) : null);
+    const out = {};
+    for (const k in raw) out[k] = toMinutes(raw[k]);
+    if (method.ishaMinutes && out.maghrib !== null) out.isya = out.maghrib + method.ishaMinutes;
+
+    for (const k in out) {
+      if (out[k] === null) continue;
+      out[k] += k === 'terbit' ? -ihtiyat : ihtiyat;
+    }
+    out.imsak = out.subuh === null ? null : out.subuh - IMSAK_MINUTES;
+
+    cacheKey = key;
+    cacheValue = out;
+    return out;
+  }
+
+  function minutesToHHMM(mins) {
+    const m = ((Math.round(mins) % 1440) + 1440) % 1440;
+    return `${pad(Math.floor(m / 60))}:${pad(m % 60)}`;
+  }
+
+  // ─── HIJRI CALENDAR ────────────────────────────────
+  const HIJRI_MONTHS = ['Muharram', 'Safar', 'Rabiul Awal', 'Rabiul Akhir', 'Jumadil Awal',
+    'Jumadil Akhir', 'Rajab', "Sya'ban", 'Ramadhan', 'Syawal', "Dzulqa'dah", 'Dzulhijjah'];
+
+  // Umm al-Qura via Intl where the engine ships it (offline ICU data), else
+  // the tabular (Kuwaiti) algorithm. Either can differ from the Indonesian
+  // rukyat / hisab announcement by a day, hence the manual `adjust`.
+  let hijriFormat;
+  try {
+    hijriFormat = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura',
+      { day: 'numeric', month: 'numeric', year: 'numeric' });
+    if (hijriFormat.resolvedOptions().calendar !== 'islamic-umalqura') hijriFormat = null;
+  } catch (_) { hijriFormat = null; }
+
+  function toHijri(date, adjust) {
+    const d = new Date(date.getFullYear(), date.getMonth(), date.getDate() + (Number(adjust) || 0));
+    if (hijriFormat) {
+      const parts = {};
+      hijriFormat.formatToParts(d).forEach(p => { parts[p.type] = parseInt(p.value, 10); });
+      if (parts.year && parts.month && parts.day) return { year: parts.year, month: parts.month, day: parts.day };
+    }
+    return tabularHijri(d);
+  }
+
+  function tabularHijri(d) {
+    let y = d.getFullYear();
+    let m = d.getMonth() + 1;
+    if (m < 3) { y -= 1; m += 12; }
+    const a = Math.floor(y / 100);
+    const b = 2 - a + Math.floor(a / 4);
+    const jd = Math.floor(365.25 * (y + 4716)) + Math.floor(30.6001 * (m + 1)) + d.getDate() + b - 1524;
+
+    const yearLength = 10631 / 30;
+    const shift = 8.01 / 60;
+    let z = jd - 1948084;
+    const cycle = Math.floor(z / 10631);
+    z -= 10631 * cycle;
+    const j = Math.floor((z - shift) / yearLength);
+    z -= Math.floor(j * yearLength + shift);
+    let month = Math.floor((z + 28.5001) / 29.5);
+    if (month === 13) month = 12;
+    return { year: 30 * cycle + j, month, day: z - Math.floor(29.5001 * month - 29) };
+  }
+
+  function formatHijri(h) {
+    return `${h.day} ${HIJRI_MONTHS[h.month - 1]} ${h.year} H`;
+  }
+
+  // ─── FASTING SEASONS ───────────────────────────────
+  // An alarm's `season` limits it to part of the Hijri year. Missing season
+  // means "follow the category default" from settings.categorySeason.
+  const SEASON_PRESETS = {
+    always: 'Sepanjang tahun',
+    ramadhan: 'Ramadhan (1–30)',
+    'senin-kamis': 'Puasa Senin–Kamis',
+    'ayyamul-bidh': 'Ayyamul Bidh (13–15)',
+    custom: 'Rentang Hijriah khusus',
+  };
+
+  // Days on which voluntary fasting is not allowed: 1 Syawal, 10–13 Dzulhijjah
+  function isForbiddenFastDay(h) {
+    return (h.month === 10 && h.day === 1) || (h.month === 12 && h.day >= 10 && h.day <= 13);
+  }
+
+  function effectiveSeason(alarm, settings) {
+    if (alarm.season) return alarm.season;
+    const byCategory = settings && settings.categorySeason;
+    return (byCategory && byCategory[alarm.category || 'regular']) || null;
+  }
+
+  function isInSeason(alarm, date, settings) {
+    const season = effectiveSeason(alarm, settings);
+    if (!season || season.preset === 'always') return true;
+    const h = toHijri(date, settings && settings.hijriAdjust);
+    switch (season.preset) {
+      case 'ramadhan':
+        return h.month === 9;
+      case 'senin-kamis':
+        return (date.getDay() === 1 || date.getDay() === 4) && h.month !== 9 && !isForbiddenFastDay(h);
+      case 'ayyamul-bidh':
+        return h.day >= 13 && h.day <= 15 && !isForbiddenFastDay(h);
+      case 'custom': {
+        if (!season.from || !season.to) return true;
+        const cur = h.month * 100 + h.day;
+        const from = season.from.month * 100 + season.from.day;
+        const to = season.to.month * 100 + season.to.day;
+        // A range may wrap past Dzulhijjah into the next Hijri year
+        return from <= to ? cur >= from && cur <= to : cur >= from || cur <= to;
+      }
+      default:
+        return true;
+    }
+  }
+
+  function describeSeason(season) {
+    if (!season) return '';
+    if (season.preset !== 'custom') return SEASON_PRESETS[season.preset] || season.preset;
+    if (!season.from || !season.to) return SEASON_PRESETS.custom;
+    return `${season.from.day} ${HIJRI_MONTHS[season.from.month - 1]} – ${season.to.day} ${HIJRI_MONTHS[season.to.month - 1]}`;
+  }
+
+  // ─── EXCEPTION CALENDAR ────────────────────────────
+  // settings.exceptions: [{ id, label, from, to, action, time, shift }]
+  // with from/to as local YYYY-MM-DD (inclusive). `action` is 'skip',
+  // 'override' (every opted-in alarm rings at `time`) or 'shift' (each alarm
+  // keeps its own time, moved by `shift` minutes, e.g. a late start).
+  // Alarms opt in per alarm (alarm.useExceptions true/false) or follow
+  // settings.exceptionCategories.
+  function dateKey(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function usesExceptions(alarm, settings) {
+    if (typeof alarm.useExceptions === 'boolean') return alarm.useExceptions;
+    const byCategory = settings && settings.exceptionCategories;
+    return !!(byCategory && byCategory[alarm.category || 'regular']);
+  }
+
+  function exceptionOn(date, settings) {
+    const list = (settings && settings.exceptions) || [];
+    const key = dateKey(date);
+    // Overrides and shifts win over skips listed earlier, so a special-day
+    // timetable inside a longer break still rings
+    let match = null;
+    for (const ex of list) {
+      if (key < ex.from || key > (ex.to || ex.from)) continue;
+      if (!match || ex.action !== 'skip') match = ex;
+    }
+    return match;
+  }
+
+  function exceptionFor(alarm, date, settings) {
+    return usesExceptions(alarm, settings) ? exceptionOn(date, settings) : null;
+  }
+
+  // ─── DAY FILTER ────────────────────────────────────
+  // Whether the alarm is scheduled at all on this date (weekdays, season and
+  // the exception calendar).
+  function isDueOn(alarm, date, settings) {
+    const hasDays = Array.isArray(alarm.days) && alarm.days.length > 0;
+    if (hasDays && !alarm.days.includes(date.getDay())) return false;
+    const ex = exceptionFor(alarm, date, settings);
+    if (ex && ex.action === 'skip') return false;
+    return isInSeason(alarm, date, settings);
+  }
+
+  // ─── SCHEDULE PROFILES ─────────────────────────────
+  // settings.profiles: [{ id, name, from, to }]. A profile whose date range
+  // covers today goes live automatically; otherwise the manually chosen
+  // settings.activeProfileId is live. A manual switch made today
+  // (settings.profileSwitchedOn) beats the automatic pick for the rest of the day.
+  const DEFAULT_PROFILE_ID = 'default';
+
+  function liveProfileId(date, settings) {
+    const s = settings || {};
+    const profiles = s.profiles || [];
+    const key = dateKey(date);
+    const manual = profiles.find(p => p.id === s.activeProfileId);
+    if (manual && s.profileSwitchedOn === key) return manual.id;
+    // Shortest matching range wins so "Ujian" inside "Semester 2" takes over
+    const span = p => Date.parse(p.to || p.from) - Date.parse(p.from);
+    let auto = null;
+    for (const p of profiles) {
+      if (!p.from || key < p.from || key > (p.to || p.from)) continue;
+      if (!auto || span(p) < span(auto)) auto = p;
+    }
+    if (auto) return auto.id;
+    return manual ? manual.id : DEFAULT_PROFILE_ID;
+  }
+
+  // ─── ALARM TIME RESOLUTION ─────────────────────────
+  // The HH:MM an alarm rings on the given date. Fixed alarms just return
+  // alarm.time; prayer-linked alarms are computed from settings.location;
+  // an "override" exception for that date replaces either, a "shift" one
+  // moves it.
+  // Returns null when the time can't be determined (no location set).
+  function resolveAlarmTime(alarm, date, settings) {
+    const ex = exceptionFor(alarm, date, settings);
+    if (ex && ex.action === 'override' && ex.time) return ex.time;
+    const time = ownAlarmTime(alarm, date, settings);
+    if (!time || !ex || ex.action !== 'shift' || !Number(ex.shift)) return time;
+    // A shift past 00:00 / 23:59 would ring on another day: that
+    // occurrence is dropped (null), not wrapped or piled onto 23:59
+    const [h, m] = time.split(':').map(Number);
+    const shifted = h * 60 + m + Number(ex.shift);
+    return shifted < 0 || shifted >= 24 * 60 ? null : minutesToHHMM(shifted);
+  }
+
+  function ownAlarmTime(alarm, date, settings) {
+    const trigger = alarm.trigger;
+    if (!trigger || trigger.type !== 'prayer') return alarm.time || null;
+    const times = prayerTimes(date, settings && settings.location);
+    if (!times || times[trigger.event] === null || times[trigger.event] === undefined) return null;
+    return minutesToHHMM(times[trigger.event] + (Number(trigger.offset) || 0));
+  }
+
+  function describeException(ex) {
+    if (ex.action === 'override') return `jam diganti ${ex.time}`;
+    if (ex.action === 'shift') return `jam digeser ${ex.shift > 0 ? '+' : '−'}${Math.abs(ex.shift)} menit`;
+    return 'alarm dilewati';
+  }
+
+  // Timestamps (ms) at which the alarm rings in the window (fromMs, toMs].
+  // Used both for the regular tick (a window of about a second) and for
+  // catching up after the tab was throttled, asleep or closed.
+  // An occurrence the user chose to skip (alarm.skipAt) is left out.
+  function occurrencesBetween(alarm, fromMs, toMs, settings) {
+    const out = [];
+    if (!(toMs > fromMs)) return out;
+    const from = new Date(fromMs);
+    for (let day = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+      day.getTime() <= toMs;
+      day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+      if (!isDueOn(alarm, day, settings)) continue;
+      const time = resolveAlarmTime(alarm, day, settings);
+      if (!time) continue;
+      const [h, m] = time.split(':').map(Number);
+      const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m).getTime();
+      if (at > fromMs && at <= toMs && at !== alarm.skipAt) out.push(at);
+    }
+    return out;
+  }
+
+  // Lead reminders (alarm.reminders, minutes before) whose reminder time
+  // falls in (fromMs, toMs]. Returns [{ at, lead }] where `at` is the
+  // occurrence being announced, not the reminder time itself.
+  function remindersBetween(alarm, fromMs, toMs, settings) {
+    const out = [];
+    for (const lead of alarm.reminders || []) {
+      const shift = lead * 60000;
+      occurrencesBetween(alarm, fromMs + shift, toMs + shift, settings)
+        .forEach(at => out.push({ at, lead }));
+    }
+    return out;
+  }
+
+  function describeTrigger(trigger) {
+    if (!trigger || trigger.type !== 'prayer') return '';
+    const label = PRAYER_EVENTS[trigger.event] || trigger.event;
+    const off = Number(trigger.offset) || 0;
+    if (!off) return label;
+    return `${label} ${off < 0 ? '−' : '+'}${Math.abs(off)} menit`;
+  }
+
+  return {
+    METHODS,
+    PRAYER_EVENTS,
+    HIJRI_MONTHS,
+    SEASON_PRESETS,
+    pad,
+    toHijri,
+    formatHijri,
+    effectiveSeason,
+    isInSeason,
+    describeSeason,
+    isDueOn,
+    dateKey,
+    usesExceptions,
+    exceptionOn,
+    exceptionFor,
+    describeException,
+    DEFAULT_PROFILE_ID,
+    liveProfileId,
+    prayerTimes,
+    minutesToHHMM,
+    resolveAlarmTime,
+    occurrencesBetween,
+    remindersBetween,
+    describeTrigger,
+  };
+})();
@@ -0,0 +1,335 @@
+/* =====================================================
+   ALARM PRO — server.js  (LAN sync server)
+   Serves the app and a small JSON API so several bell
+   PCs share one schedule. Node built-ins only, no
+   internet needed:
+     node server.js [--port 8080] [--data ./alarmpro-data]
+                    [--cert cert.pem --key key.pem]
+   Set ALARMPRO_KEY to require a shared key.
+
+   HTTPS: browsers only allow the service worker (offline
+   app, background alarms, notifications) on https:// or
+   on localhost. Over plain http://192.168.x.x the other
+   PCs get the app without any of that: it rings only
+   while its tab is open. An https:// page can't call an
+   http:// server either (mixed content). So for more than
+   one PC pass --cert/--key (e.g. made with mkcert, its
+   root CA installed on every PC) and use https:// URLs.
+   ===================================================== */
+
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function argValue(name) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+const PORT = Number(argValue('--port') || process.env.PORT) || 8080;
+const APP_DIR = __dirname;
+const DATA_DIR = path.resolve(argValue('--data') || process.env.ALARMPRO_DATA || path.join(APP_DIR, 'alarmpro-data'));
+const STATE_FILE = path.join(DATA_DIR, 'state.json');
+const SOUND_DIR = path.join(DATA_DIR, 'sounds');
+const SYNC_KEY = process.env.ALARMPRO_KEY || '';
+const TLS_CERT = argValue('--cert') || process.env.ALARMPRO_TLS_CERT;
+const TLS_KEY = argValue('--key') || process.env.ALARMPRO_TLS_KEY;
+const BASE_PATH = '/timer/';
+const API_PATH = '/timer/api/';
+const MAX_JSON_BYTES = 2 * 1024 * 1024;
+const MAX_SOUND_BYTES = 20 * 1024 * 1024;   // same limit as the upload form
+
+// Only these get served from APP_DIR; server.js and the data folder never do
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+};
+const PRIVATE_FILES = ['server.js'];
+
+// ─── STATE ───────────────────────────────────────────
+// One document holds the shared schedule. `rev` goes up by one on every
+// accepted push; a push must name the rev it was based on, so two devices
+// can never silently overwrite each other (the loser gets 409 and merges).
+let state = loadState();
+
+function emptyState() {
+  return { rev: 0, alarms: [], settings: {}, sounds: [], updatedAt: null, updatedBy: null };
+}
+
+function loadState() {
+  try {
+    return { ...emptyState(), ...JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')) };
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('[Server] state.json unreadable, starting empty:', err.message);
+    return emptyState();
+  }
+}
+
+// Write-then-rename, so a power cut never leaves half a file behind
+// Write-then-rename, so a power cut leaves the old file or the new one,
+// never half of one
+function writeFileAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = file + '.tmp';
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+function saveState() {
+  writeFileAtomic(STATE_FILE, JSON.stringify(state));
+}
+
+function isValidId(id) {
+  return /^[A-Za-z0-9_-]{1,64}$/.test(id);
+}
+
+// ─── HTTP HELPERS ────────────────────────────────────
+// The page may be opened from another host (or from file://), so the API
+// allows any origin; the optional key is what keeps strangers out.
+function setCors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Sync-Key, X-Sound-Meta');
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error('body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function readJson(req) {
+  const raw = await readBody(req, MAX_JSON_BYTES);
+  try {
+    return JSON.parse(raw.toString('utf8'));
+  } catch (_) {
+    throw Object.assign(new Error('invalid JSON'), { status: 400 });
+  }
+}
+
+// ─── API ─────────────────────────────────────────────
+// GET  /timer/api/state        → { rev, alarms, settings, sounds, updatedAt, updatedBy }
+// PUT  /timer/api/state        ← { baseRev, alarms, settings, device } → { rev, updatedAt }
+//                                 409 + current state when baseRev is stale
+// GET  /timer/api/sounds/:id   → the audio file
+// PUT  /timer/api/sounds/:id   ← raw audio, metadata in the X-Sound-Meta header
+async function handleApi(req, res, route) {
+  if (SYNC_KEY && req.headers['x-sync-key'] !== SYNC_KEY) {
+    sendJson(res, 401, { error: 'wrong or missing sync key' });
+    return;
+  }
+
+  if (route === 'state' && req.method === 'GET') {
+    sendJson(res, 200, state);
+    return;
+  }
+
+  if (route === 'state' && req.method === 'PUT') {
+    const body = await readJson(req);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      sendJson(res, 400, { error: 'expected a JSON object' });
+      return;
+    }
+    if (body.baseRev !== state.rev) {
+      sendJson(res, 409, { error: 'stale revision', state });
+      return;
+    }
+    if (!Array.isArray(body.alarms) || !body.settings || typeof body.settings !== 'object') {
+      sendJson(res, 400, { error: 'alarms and settings are required' });
+      return;
+    }
+    state = {
+      ...state,
+      rev: state.rev + 1,
+      alarms: body.alarms,
+      settings: body.settings,
+      updatedAt: Date.now(),
+      updatedBy: String(body.device || '').slice(0, 60) || null,
+    };
+    saveState();
+    console.log(`[Server] rev ${state.rev} from ${state.updatedBy || 'unknown device'}`);
+    sendJson(res, 200, { rev: state.rev, updatedAt: state.updatedAt });
+    return;
+  }
+
+  const soundMatch = /^sounds\/([^/]+)$/.exec(route);
+  if (soundMatch && isValidId(soundMatch[1])) {
+    const id = soundMatch[1];
+    const file = path.join(SOUND_DIR, id);
+
+    if (req.method === 'GET') {
+      const meta = state.sounds.find(s => s.id === id);
+      if (!meta || !fs.existsSync(file)) {
+        sendJson(res, 404, { error: 'sound not found' });
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': meta.type || 'application/octet-stream', 'Cache-Control': 'no-store' });
+      fs.createReadStream(file).pipe(res);
+      return;
+    }
+
+    if (req.method === 'PUT') {
+      let meta;
+      try {
+        meta = JSON.parse(decodeURIComponent(req.headers['x-sound-meta'] || '{}'));
+      } catch (_) {
+        sendJson(res, 400, { error: 'invalid X-Sound-Meta' });
+        return;
+      }
+      const data = await readBody(req, MAX_SOUND_BYTES);
+      writeFileAtomic(file, data);
+      const entry = {
+        id,
+        name: String(meta.name || 'Audio').slice(0, 120),
+        type: req.headers['content-type'] || meta.type || '',
+        size: data.length,
+        duration: Number(meta.duration) || 0,
+        hash: String(meta.hash || ''),
+        addedAt: Number(meta.addedAt) || Date.now(),
+        updatedAt: Number(meta.updatedAt) || null,
+      };
+      // Sounds are looked up by the alarms that use them, so storing one
+      // does not change the schedule revision
+      state.sounds = state.sounds.filter(s => s.id !== id).concat(entry);
+      saveState();
+      sendJson(res, 200, entry);
+      return;
+    }
+  }
+
+  sendJson(res, 404, { error: 'unknown API route' });
+}
+
+// ─── STATIC FILES ────────────────────────────────────
+// The same paths as the usual /timer/ hosting, so the service worker and
+// its offline cache work unchanged.
+function notFound(res) {
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Not found');
+}
+
+function serveStatic(req, res, pathname) {
+  let rel;
+  try {
+    rel = decodeURIComponent(pathname.slice(BASE_PATH.length)) || 'index.html';
+  } catch (_) {
+    notFound(res);
+    return;
+  }
+  if (rel === 'sw-keepalive') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+    return;
+  }
+  const file = path.resolve(APP_DIR, rel);
+  const inApp = file.startsWith(APP_DIR + path.sep);
+  const hidden = rel.split('/').some(part => part.startsWith('.'));
+  const type = MIME_TYPES[path.extname(file).toLowerCase()];
+  if (!inApp || hidden || !type || file.startsWith(DATA_DIR) || PRIVATE_FILES.includes(path.basename(file))) {
+    notFound(res);
+    return;
+  }
+  fs.stat(file, (err, stat) => {
+    if (err || !stat.isFile()) {
+      notFound(res);
+      return;
+    }
+    // sw.js must be re-checked on every load, or updates would never show
+    res.writeHead(200, { 'Content-Type': type, 'Cache-Control': rel === 'sw.js' ? 'no-cache' : 'max-age=300' });
+    fs.createReadStream(file).pipe(res);
+  });
+}
+
+// ─── SERVER ──────────────────────────────────────────
+function handleRequest(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (pathname.startsWith(API_PATH)) {
+    setCors(res);
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+    handleApi(req, res, pathname.slice(API_PATH.length)).catch(err => {
+      if (err.status) {
+        sendJson(res, err.status, { error: err.message });
+        return;
+      }
+      console.error('[Server] API error:', err);
+      sendJson(res, 500, { error: 'internal error' });
+    });
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { 'Content-Type': 'text/plain' });
+    res.end('Method not allowed');
+    return;
+  }
+  if (pathname === '/' || pathname === '/timer') {
+    res.writeHead(302, { Location: BASE_PATH });
+    res.end();
+    return;
+  }
+  if (pathname.startsWith(BASE_PATH)) {
+    serveStatic(req, res, pathname);
+    return;
+  }
+  notFound(res);
+}
+
+function createServer() {
+  if (!TLS_CERT && !TLS_KEY) return http.createServer(handleRequest);
+  if (!TLS_CERT || !TLS_KEY) {
+    console.error('[Server] --cert and --key go together');
+    process.exit(1);
+  }
+  return https.createServer({ cert: fs.readFileSync(TLS_CERT), key: fs.readFileSync(TLS_KEY) }, handleRequest);
+}
+
+const server = createServer();
+const scheme = TLS_CERT ? 'https' : 'http';
+
+server.listen(PORT, '0.0.0.0', () => {
+  console.log(`[Server] AlarmPro sync server, data in ${DATA_DIR}`);
+  // Print the LAN addresses to type into "Sinkronisasi" on the other PCs
+  for (const list of Object.values(os.networkInterfaces())) {
+    for (const net of list || []) {
+      if (net.family === 'IPv4' && !net.internal) console.log(`[Server]   ${scheme}://${net.address}:${PORT}${BASE_PATH}`);
+    }
+  }
+  console.log(`[Server]   ${scheme}://localhost:${PORT}${BASE_PATH}`);
+  if (!TLS_CERT) {
+    console.log('[Server] Plain HTTP: only http://localhost gets offline mode, notifications and background');
+    console.log('[Server] alarms. Other PCs ring only while their tab is open — use --cert/--key for those.');
+  }
+  if (!SYNC_KEY) console.log('[Server] No ALARMPRO_KEY set — any device on the network can sync');
+});
@@ -4,39 +4,168 @@
    browser tab is closed / in the background.
    ===================================================== */
 
-const CACHE_NAME = 'alarmpro-v2';
+importScripts('schedule.js', 'history.js');
+
+// Shell files are refreshed from the network on every load (see OFFLINE
+// CACHE), so a release needs no change here. Bump CACHE_NAME only when
+// what is cached changes shape; the old cache is dropped on activate.
+const CACHE_NAME = 'alarmpro-v3';
 const SW_ALARM_KEY = 'sw_alarms';
 
-// In-memory copy of alarms (persisted in SW while alive)
+// App shell, relative to the SW scope (/timer/). Everything the bell PC
+// needs to keep ringing when the school network is down.
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'schedule.js',
+    'history.js',
+    'app.js',
+    'manifest.webmanifest',
+    'icon-192.png',
+    'icon-512.png',
+    'icon.svg',
+    'WhatsApp Image 2026-02-25 at 15.50.28.jpeg',
+    'download-removebg-preview.png',
+];
+const FONT_CSS = 'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;900&display=swap';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// In-memory copy of alarms. The browser may kill the worker at any time,
+// so the same copy is persisted in IndexedDB and reloaded on the next event.
 let swAlarms = [];
+let swSettings = {};
+let swRev = 0;
 let swCheckInterval = null;
+// Skips chosen from a reminder notification, kept until a page has saved them
+let swPendingSkips = [];
+
+// ─── PERSISTENT STATE ────────────────────────────────
+let swDbPromise = null;
+let swStatePromise = null;
+
+function openSwDB() {
+    if (swDbPromise) return swDbPromise;
+    swDbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open('alarmpro_sw', 1);
+        req.onupgradeneeded = e => e.target.result.createObjectStore('state');
+        req.onsuccess = e => resolve(e.target.result);
+        req.onerror = () => { swDbPromise = null; reject(req.error); };
+    });
+    return swDbPromise;
+}
+
+// Loads the stored copy once per worker lifetime; every event handler awaits
+// this first, so a freshly restarted worker never runs with an empty list.
+function ensureSwState() {
+    if (swStatePromise) return swStatePromise;
+    swStatePromise = openSwDB().then(db => new Promise(resolve => {
+        const req = db.transaction('state', 'readonly').objectStore('state').get(SW_ALARM_KEY);
+        req.onsuccess = () => {
+            const stored = req.result;
+            // A SYNC_ALARMS that arrived while we were reading wins if it is newer
+            if (stored && (stored.rev || 0) > swRev) {
+                swAlarms = stored.alarms || [];
+                swSettings = stored.settings || {};
+                swRev = stored.rev || 0;
+                if (swLastCheck === null && stored.lastCheck) swLastCheck = stored.lastCheck;
+                swPendingSkips = stored.pendingSkips || [];
+            }
+            resolve();
+        };
+        req.onerror = () => resolve();
+    })).catch(err => {
+        console.warn('[SW] state load failed:', err);
+    }).then(() => {
+        if (swAlarms.length && !swCheckInterval) startAlarmCheck();
+    });
+    return swStatePromise;
+}
+
+function persistSwState() {
+    return openSwDB().then(db => new Promise(resolve => {
+        const tx = db.transaction('state', 'readwrite');
+        tx.objectStore('state').put({
+            rev: swRev,
+            alarms: swAlarms,
+            settings: swSettings,
+            lastCheck: swLastCheck,
+            pendingSkips: swPendingSkips,
+        }, SW_ALARM_KEY);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => resolve();
+    })).catch(err => console.warn('[SW] state save failed:', err));
+}
 
 // ─── INSTALL & ACTIVATE ──────────────────────────────
-self.addEventListener('install', () => {
-    self.skipWaiting();
+// No skipWaiting() here: a new version waits until the page asks for it
+// (the "Versi baru tersedia" prompt), so a ringing alarm is never cut off
+// by a silent swap of the code underneath it.
+self.addEventListener('install', event => {
+    // 'reload' skips the HTTP cache, which may still hold the previous release
+    event.waitUntil(caches.open(CACHE_NAME).then(cache =>
+        cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' }))).then(() =>
+            // Fonts are nice to have; an offline install must not fail on them
+            cache.add(new Request(FONT_CSS, { mode: 'cors' })).catch(err => {
+                console.warn('[SW] font precache skipped:', err);
+            }))));
 });
 
 self.addEventListener('activate', event => {
-    event.waitUntil(self.clients.claim());
+    event.waitUntil(Promise.all([
+        caches.keys().then(keys => Promise.all(keys
+            .filter(key => key.startsWith('alarmpro-') && key !== CACHE_NAME)
+            .map(key => caches.delete(key)))),
+        self.clients.claim(),
+        ensureSwState(),
+    ]));
 });
 
 // ─── MESSAGE FROM PAGE ───────────────────────────────
-// The page sends { type: 'SYNC_ALARMS', alarms: [...] } every time alarms change
+// The page sends { type: 'SYNC_ALARMS', rev, alarms: [...], settings } every
+// time alarms change. `rev` only ever grows, so a tab still holding an old
+// copy cannot overwrite newer edits: we keep ours and tell it what we have.
 self.addEventListener('message', event => {
     if (!event.data) return;
 
     if (event.data.type === 'SYNC_ALARMS') {
-        swAlarms = event.data.alarms || [];
-        startAlarmCheck();
+        event.waitUntil(ensureSwState().then(() => {
+            const rev = event.data.rev || 0;
+            if (rev < swRev) {
+                if (event.source) event.source.postMessage({ type: 'SW_STATE', rev: swRev, alarms: swAlarms, settings: swSettings });
+                return;
+            }
+            swAlarms = event.data.alarms || [];
+            swSettings = event.data.settings || {};
+            swRev = rev;
+            reapplyPendingSkips();
+            startAlarmCheck();
+            return persistSwState();
+        }));
+    }
+
+    if (event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
     }
 
     if (event.data.type === 'DISMISS_ALARM') {
-        // Page dismissed the alarm, nothing extra needed in SW
+        // Dismissed or snoozed in a tab: its notification is no longer needed
+        event.waitUntil(self.registration.getNotifications({ tag: 'alarmpro-' + event.data.alarmId })
+            .then(list => list.forEach(n => n.close())));
     }
 });
 
 // ─── ALARM CHECKER ───────────────────────────────────
+const DEFAULT_SNOOZE_MINUTES = 5;
+const DEFAULT_SNOOZE_MAX = 3;
+
 function pad(n) { return String(n).padStart(2, '0'); }
+function timeFromMs(ms) {
+    const d = new Date(ms);
+    return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+function snoozeMinutesOf(alarm) { return alarm.snoozeMinutes || DEFAULT_SNOOZE_MINUTES; }
+function snoozeMaxOf(alarm) { return alarm.snoozeMax === undefined ? DEFAULT_SNOOZE_MAX : alarm.snoozeMax; }
 
 function startAlarmCheck() {
     if (swCheckInterval) clearInterval(swCheckInterval);
@@ -46,64 +175,82 @@ function startAlarmCheck() {
     checkSwAlarms();
 }
 
-const swFiredKeys = {};
-let swLastMinute = null;
+// Each check covers (swLastCheck, now], so a throttled interval that arrives
+// late still catches the alarm instead of missing a fixed 30-second window.
+// The look-back is capped: catching up after long gaps is the page's job.
+const SW_MAX_LOOKBACK_MS = 2 * 60 * 1000;
+let swLastCheck = null;
 
 function checkSwAlarms() {
     const now = new Date();
-    const hh = pad(now.getHours());
-    const mm = pad(now.getMinutes());
-    const ss = now.getSeconds();
-    const currentMinute = `${hh}:${mm}`;
-    const currentDay = now.getDay();
-
-    // Purge old fired keys on minute rollover
-    if (currentMinute !== swLastMinute) {
-        swLastMinute = currentMinute;
-        for (const k in swFiredKeys) {
-            if (!k.endsWith('|' + currentMinute)) delete swFiredKeys[k];
-        }
-    }
+    const nowMs = now.getTime();
+    const from = Math.max(swLastCheck === null ? nowMs - 30000 : swLastCheck, nowMs - SW_MAX_LOOKBACK_MS);
+    swLastCheck = nowMs;
+    // Keep lastCheck on disk so a restarted worker resumes the window
+    // instead of ringing the same minute twice
+    persistSwState();
 
-    // Only fire within first 30 seconds of the minute
-    if (ss > 30) return;
+    // Snoozed alarms fire at their own timestamp, independent of the minute window.
+    // Clear it on our copy right away so the next 30s check doesn't repeat it;
+    // the page clears its own copy when it fires.
+    for (const alarm of swAlarms) {
+        if (!alarm.snoozeUntil || alarm.snoozeUntil > nowMs) continue;
+        const fresh = nowMs - alarm.snoozeUntil < 60000;
+        alarm.snoozeUntil = null;
+        if (fresh) showAlarmNotification(alarm, 'snooze');
+    }
 
+    // Every alarm due in the window gets its own notification (the tags
+    // differ); an open page queues them and rings them one after another
     for (const alarm of swAlarms) {
         if (!alarm.enabled) continue;
-        if (alarm.time !== currentMinute) continue;
-
-        const hasDays = Array.isArray(alarm.days) && alarm.days.length > 0;
-        if (hasDays && !alarm.days.includes(currentDay)) continue;
-
-        const key = alarm.id + '|' + currentMinute;
-        if (swFiredKeys[key]) continue;
-
-        swFiredKeys[key] = true;
+        if (AlarmSchedule.occurrencesBetween(alarm, from, nowMs, swSettings).length === 0) continue;
         showAlarmNotification(alarm);
-        break;
+    }
+
+    // Lead reminders; one that is already past its minute is not worth showing
+    for (const alarm of swAlarms) {
+        if (!alarm.enabled) continue;
+        AlarmSchedule.remindersBetween(alarm, from, nowMs, swSettings)
+            .filter(r => nowMs - (r.at - r.lead * 60000) < 60000)
+            .forEach(r => showReminderNotification(alarm, r.at, r.lead));
     }
 }
 
+// ─── HISTORY ─────────────────────────────────────────
+// An open page logs what it rings and what is done about it (it hears of
+// everything below through postMessage). With no page open the SW writes
+// the same records itself, so the log still shows the bell rang.
+function logWithoutPage(clients, type, alarm, extra) {
+    if (clients.length > 0) return Promise.resolve();
+    return AlarmHistory.add(type, alarm, extra, swSettings);
+}
+
 // ─── SHOW NOTIFICATION ───────────────────────────────
-function showAlarmNotification(alarm) {
+// `via` is 'sw' or 'snooze', as in the page's own history
+function showAlarmNotification(alarm, via = 'sw') {
     // First check if there's an active focused client (page is visible)
-    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+    return self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
         const hasFocusedClient = clients.some(c => c.focused);
 
         // Always show OS notification (even if page is open — page will also show its own overlay)
         const title = `⏰ Alarm: ${alarm.name || 'Alarm'}`;
+        const time = AlarmSchedule.resolveAlarmTime(alarm, new Date(), swSettings) || alarm.time;
+        const actions = [];
+        if ((alarm.snoozeCount || 0) < snoozeMaxOf(alarm)) {
+            actions.push({ action: 'snooze', title: `💤 Tunda ${snoozeMinutesOf(alarm)} menit` });
+        }
+        actions.push({ action: 'dismiss', title: '✖ Matikan' });
         const options = {
-            body: `Waktunya ${alarm.time} — ${alarm.name || 'Alarm'}`,
+            body: `Waktunya ${time} — ${alarm.name || 'Alarm'}`,
             icon: '/timer/icon-192.png',
             badge: '/timer/icon-192.png',
             tag: 'alarmpro-' + alarm.id,
             renotify: true,
             requireInteraction: true,   // stays until user interacts
             vibrate: [300, 100, 300, 100, 300],
-            data: { alarmId: alarm.id, alarmTime: alarm.time, alarmName: alarm.name },
-            actions: [
-                { action: 'dismiss', title: '✖ Matikan' }
-            ],
+            data: { alarmId: alarm.id, alarmTime: time, alarmName: alarm.name },
+            actions,
         };
 
         self.registration.showNotification(title, options).catch(err => {
@@ -114,6 +261,29 @@ function showAlarmNotification(alarm) {
         clients.forEach(client => {
             client.postMessage({ type: 'ALARM_FIRED', alarm });
         });
+        return logWithoutPage(clients, 'fired', alarm, { via });
+    });
+}
+
+// Quiet heads-up before the alarm; same tag as the page's own reminder, so
+// the two never stack up
+function showReminderNotification(alarm, at, lead) {
+    const time = new Date(at);
+    const title = `⏳ ${alarm.name || 'Alarm'} dalam ${lead} menit`;
+    self.registration.showNotification(title, {
+        body: `Berbunyi pukul ${pad(time.getHours())}:${pad(time.getMinutes())}`,
+        icon: '/timer/icon-192.png',
+        badge: '/timer/icon-192.png',
+        tag: 'alarmpro-pre-' + alarm.id,
+        silent: true,
+        data: { alarmId: alarm.id, at, kind: 'reminder' },
+        // With an admin PIN set, skipping has to go through the page
+        actions: swSettings.adminPin ? [] : [{ action: 'skip', title: '⏭ Lewati alarm ini' }],
+    }).catch(err => console.warn('[SW] showNotification failed:', err));
+
+    return self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+        clients.forEach(client => client.postMessage({ type: 'ALARM_REMINDER', alarmId: alarm.id, at, lead }));
+        return logWithoutPage(clients, 'reminded', alarm, { via: 'sw', detail: `${lead} menit sebelum ${timeFromMs(at)}` });
     });
 }
 
@@ -125,11 +295,25 @@ self.addEventListener('notificationclick', event => {
 
     notification.close();
 
+    if (action === 'snooze') {
+        event.waitUntil(ensureSwState().then(() => snoozeFromNotification(alarm)));
+        return;
+    }
+    if (action === 'skip') {
+        event.waitUntil(ensureSwState().then(() => skipFromNotification(alarm)));
+        return;
+    }
+
     event.waitUntil(
         self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
             // Focus existing tab or open new one
             const targetUrl = '/timer/';
             const existing = clients.find(c => c.url.includes('/timer/'));
+            // The tab opened below isn't ringing this alarm, so it won't log it
+            const known = swAlarms.find(a => a.id === alarm.alarmId) || { id: alarm.alarmId, name: alarm.alarmName };
+            const logged = action === 'dismiss'
+                ? logWithoutPage(clients, 'dismissed', known, { via: 'notification' })
+                : Promise.resolve();
 
             const focusOrOpen = existing
                 ? existing.focus().then(c => c.postMessage({ type: 'ALARM_ACTION', action, alarm }))
@@ -142,20 +326,144 @@ self.addEventListener('notificationclick', event => {
                     }
                 });
 
-            return focusOrOpen;
+            return Promise.all([focusOrOpen, logged]);
         })
     );
 });
 
+// Snooze straight from the notification without pulling the tab to the front.
+// Our own copy is updated so the re-ring works even with no page open; any
+// open page gets told as well so it persists the snooze in localStorage.
+function snoozeFromNotification(data) {
+    const alarm = swAlarms.find(a => a.id === data.alarmId);
+    if (alarm) {
+        alarm.snoozeCount = (alarm.snoozeCount || 0) + 1;
+        alarm.snoozeUntil = Date.now() + snoozeMinutesOf(alarm) * 60000;
+        if (!swCheckInterval) startAlarmCheck();
+        persistSwState();
+    }
+    return self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+        clients.forEach(client => {
+            client.postMessage({ type: 'ALARM_ACTION', action: 'snooze', alarm: { id: data.alarmId } });
+        });
+        if (alarm) {
+            return logWithoutPage(clients, 'snoozed', alarm, {
+                via: 'notification',
+                detail: `sampai ${timeFromMs(alarm.snoozeUntil)} (ke-${alarm.snoozeCount})`,
+            });
+        }
+    });
+}
+
+// Skip the announced occurrence. With no page open the skip would be lost
+// on the next sync (the page's copy has the same rev), so it is also kept
+// in swPendingSkips until a synced list carries it.
+function skipFromNotification(data) {
+    applySkip(data.alarmId, data.at);
+    swPendingSkips = swPendingSkips.filter(s => s.alarmId !== data.alarmId)
+        .concat({ alarmId: data.alarmId, at: data.at });
+    persistSwState();
+    return self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+        clients.forEach(client => {
+            client.postMessage({ type: 'ALARM_ACTION', action: 'skip', alarm: { id: data.alarmId, at: data.at } });
+        });
+        const alarm = swAlarms.find(a => a.id === data.alarmId);
+        if (alarm) return logWithoutPage(clients, 'skipped', alarm, { via: 'notification', detail: timeFromMs(data.at) });
+    });
+}
+
+// A one-shot alarm has no "next time", so skipping it switches it off
+function applySkip(alarmId, at) {
+    const alarm = swAlarms.find(a => a.id === alarmId);
+    if (!alarm) return;
+    if (Array.isArray(alarm.days) && alarm.days.length > 0) alarm.skipAt = at;
+    else alarm.enabled = false;
+}
+
+// After accepting a sync: keep skips the pages don't know about yet and
+// ask the leading tab to save them; drop the ones already saved or past
+function reapplyPendingSkips() {
+    const now = Date.now();
+    swPendingSkips = swPendingSkips.filter(skip => {
+        const alarm = swAlarms.find(a => a.id === skip.alarmId);
+        if (!alarm || skip.at <= now) return false;
+        if (alarm.skipAt === skip.at || !alarm.enabled) return false;
+        applySkip(skip.alarmId, skip.at);
+        return true;
+    });
+    if (swPendingSkips.length === 0) return;
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+        swPendingSkips.forEach(skip => clients.forEach(client => {
+            client.postMessage({ type: 'ALARM_ACTION', action: 'skip', alarm: { id: skip.alarmId, at: skip.at } });
+        }));
+    });
+}
+
 // ─── NOTIFICATION CLOSE ──────────────────────────────
 self.addEventListener('notificationclose', event => {
     // User swiped away the notification — treat as dismiss
 });
 
+// ─── OFFLINE CACHE ───────────────────────────────────
+// Pages and shell assets: network first, so a reachable server always
+// serves the current release and every good response refreshes the cached
+// copy. The cached shell is used when the server is down, or slower than
+// NETWORK_TIMEOUT_MS on a flaky school network. Fonts: cached on first
+// use, refreshed in the background.
+const NETWORK_TIMEOUT_MS = 4000;
+
+function fromNetworkThenCache(request, cacheKey) {
+    const fromCache = () => caches.match(cacheKey, { cacheName: CACHE_NAME, ignoreSearch: true });
+    // 'no-cache' revalidates with the server instead of trusting max-age
+    const network = fetch(request, { cache: 'no-cache' }).then(response => {
+        if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(cacheKey, copy));
+        }
+        return response;
+    });
+    const slow = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT_MS))
+        .then(fromCache)
+        .then(cached => cached || network);
+    return Promise.race([network, slow])
+        .catch(() => fromCache().then(cached => cached || Response.error()));
+}
+
+function staleWhileRevalidate(request) {
+    return caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => {
+        const network = fetch(request).then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        });
+        if (cached) {
+            network.catch(() => { });
+            return cached;
+        }
+        return network;
+    }));
+}
+
 // ─── KEEP ALIVE TRICK ────────────────────────────────
-// Respond to fetch events from our own keepalive pings
+// Respond to fetch events from our own keepalive pings. The pings are no
+// longer what keeps alarms around — any event just reloads the stored copy
+// if the worker was restarted, and the check interval picks up from there.
 self.addEventListener('fetch', event => {
     if (event.request.url.includes('sw-keepalive')) {
-        event.respondWith(new Response('ok', { headers: { 'Content-Type': 'text/plain' } }));
+        event.respondWith(ensureSwState().then(() =>
+            new Response('ok', { headers: { 'Content-Type': 'text/plain' } })));
+        return;
+    }
+    if (event.request.method !== 'GET') return;
+
+    const url = new URL(event.request.url);
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event.request));
+        return;
     }
+    if (url.origin !== self.location.origin || !url.pathname.startsWith('/timer/')) return;
+    // Sync API (server.js): always live, never cached
+    if (url.pathname.startsWith('/timer/api/')) return;
+
+    event.respondWith(fromNetworkThenCache(event.request,
+        event.request.mode === 'navigate' ? 'index.html' : event.request));
 });